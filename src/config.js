@@ -0,0 +1,12 @@
+/**
+ * Numeric setting from the environment, read at the time of the call.
+ * ES module imports run before server.js calls dotenv.config(), so a setting
+ * read into a module-level constant would never see values from .env.
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Used when the variable is unset or not a positive integer
+ * @returns {number}
+ */
+export function envInt(name, fallback) {
+    const value = parseInt(process.env[name]);
+    return value > 0 ? value : fallback;
+}
@@ -25,6 +25,20 @@ export async function connectDatabase() {
   }
 }
 
+// Workspace Member Schema (one repository or archive inside a multi-repo codebase)
+const workspaceMemberSchema = new mongoose.Schema({
+  label: { type: String, required: true },
+  prefix: { type: String, required: true },
+  source: { type: String },
+  repo_url: { type: String },
+  ref: { type: String },
+  ref_type: { type: String },
+  subdirectory: { type: String },
+  commit_sha: { type: String },
+  file_count: { type: Number, default: 0 },
+  total_size: { type: Number, default: 0 }
+}, { _id: false });
+
 // Codebase Schema
 const codebaseSchema = new mongoose.Schema({
   _id: { type: String, required: true },
@@ -32,6 +46,25 @@ const codebaseSchema = new mongoose.Schema({
   source: { type: String, required: true },
   file_count: { type: Number, default: 0 },
   total_size: { type: Number, default: 0 },
+  embedding_model: { type: String },
+  repo_url: { type: String },
+  ref: { type: String },
+  ref_type: { type: String, enum: ['branch', 'tag', 'commit', null] },
+  subdirectory: { type: String },
+  include_globs: { type: [String], default: [] },
+  exclude_globs: { type: [String], default: [] },
+  members: { type: [workspaceMemberSchema], default: undefined },
+  commit_sha: { type: String },
+  synced_at: { type: Date },
+  // Deterministic overview computed at ingest, and the LLM narrative written from it
+  overview: { type: mongoose.Schema.Types.Mixed },
+  summary: {
+    text: { type: String },
+    model: { type: String },
+    generated_at: { type: Date }
+  },
+  // Redact likely secrets before content is sent to a model; unset follows REDACT_SECRETS
+  redact_secrets: { type: Boolean },
   created_at: { type: Date, default: Date.now }
 });
 
@@ -41,36 +74,161 @@ const codeFileSchema = new mongoose.Schema({
   file_path: { type: String, required: true },
   content: { type: String, required: true },
   language: { type: String },
-  size: { type: Number }
+  size: { type: Number },
+  // 'generated' or 'vendored' files are kept but ranked below hand-written code
+  category: { type: String, default: null }
+});
+
+// Full-text search over file contents; no stemming or stop words, which suit code
+codeFileSchema.index(
+  { file_path: 'text', content: 'text' },
+  { name: 'code_file_text', weights: { file_path: 2, content: 1 }, default_language: 'none' }
+);
+
+// Code Chunk Schema (embedded slices of a file used for semantic retrieval)
+const codeChunkSchema = new mongoose.Schema({
+  codebase_id: { type: String, required: true, index: true },
+  file_path: { type: String, required: true },
+  language: { type: String },
+  kind: { type: String, default: 'block' },
+  name: { type: String },
+  content: { type: String, required: true },
+  start_line: { type: Number, required: true },
+  end_line: { type: Number, required: true },
+  category: { type: String, default: null },
+  embedding: { type: [Number], default: [] }
+});
+
+// Code Symbol Schema (a declaration found in a file: class, function, method, ...)
+const codeSymbolSchema = new mongoose.Schema({
+  codebase_id: { type: String, required: true, index: true },
+  file_path: { type: String, required: true },
+  language: { type: String },
+  name: { type: String, required: true },
+  qualified_name: { type: String, required: true },
+  kind: { type: String, required: true },
+  parent: { type: String, default: null },
+  start_line: { type: Number, required: true },
+  end_line: { type: Number, required: true },
+  exported: { type: Boolean, default: false }
+});
+codeSymbolSchema.index({ codebase_id: 1, name: 1 });
+
+// Code Dependency Schema (one import of a stored file; target_path is null for external packages)
+const codeDependencySchema = new mongoose.Schema({
+  codebase_id: { type: String, required: true, index: true },
+  source_path: { type: String, required: true },
+  target_path: { type: String, default: null },
+  specifier: { type: String, required: true },
+  package: { type: String, default: null },
+  line: { type: Number, required: true }
+});
+
+// Conversation Schema (a thread of follow-up questions on one codebase)
+const conversationSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  codebase_id: { type: String, required: true, index: true },
+  title: { type: String, required: true },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now, index: true }
 });
 
 // Question Schema
 const questionSchema = new mongoose.Schema({
   codebase_id: { type: String, required: true, index: true },
+  conversation_id: { type: String, index: true },
   question: { type: String, required: true },
   answer: { type: String, required: true },
   file_references: { type: Array, default: [] },
   mermaid_code: { type: String },
-  tags: { type: [String], default: [] },
+  tags: { type: [String], default: [], index: true },
+  // Pinned questions are never pruned by history retention
+  pinned: { type: Boolean, default: false },
   created_at: { type: Date, default: Date.now, index: true }
 });
 
+// History listing pages by (created_at, _id) within a codebase
+questionSchema.index({ codebase_id: 1, created_at: -1, _id: -1 });
+
+// Full-text search over history, with question words ranked above answer words
+questionSchema.index(
+  { question: 'text', answer: 'text' },
+  { name: 'question_text', weights: { question: 3, answer: 1 } }
+);
+
+// Refactor Review Schema (a saved review of stored files of a codebase)
+const refactorReviewSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  codebase_id: { type: String, required: true, index: true },
+  // What was asked for: explicit paths and/or a directory
+  paths: { type: [String], default: [] },
+  dir: { type: String },
+  files_reviewed: { type: [String], default: [] },
+  // 'full' (static analysis + LLM) or 'analysis' (static analysis only)
+  mode: { type: String, default: 'full' },
+  findings: { type: Array, default: [] },
+  analysis: { type: mongoose.Schema.Types.Mixed },
+  suggestions: { type: Array, default: [] },
+  batch_count: { type: Number, default: 0 },
+  failed_batches: { type: Array, default: [] },
+  created_at: { type: Date, default: Date.now, index: true }
+});
+
+// Ingestion Job Schema (background upload/clone progress)
+const ingestionJobSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  codebase_id: { type: String, required: true, index: true },
+  type: { type: String, required: true },
+  status: { type: String, enum: ['queued', 'running', 'completed', 'failed'], default: 'queued' },
+  phase: { type: String, default: 'queued' },
+  files_total: { type: Number, default: 0 },
+  files_processed: { type: Number, default: 0 },
+  result: { type: mongoose.Schema.Types.Mixed },
+  error: { type: String },
+  // Machine-readable cause for rejected input (e.g. 'path_traversal', 'too_large')
+  error_reason: { type: String },
+  created_at: { type: Date, default: Date.now },
+  updated_at: { type: Date, default: Date.now },
+  finished_at: { type: Date }
+});
+
 // Models
 const Codebase = mongoose.model('Codebase', codebaseSchema);
 const CodeFile = mongoose.model('CodeFile', codeFileSchema);
+const CodeChunk = mongoose.model('CodeChunk', codeChunkSchema);
+const CodeSymbol = mongoose.model('CodeSymbol', codeSymbolSchema);
+const CodeDependency = mongoose.model('CodeDependency', codeDependencySchema);
+const Conversation = mongoose.model('Conversation', conversationSchema);
 const Question = mongoose.model('Question', questionSchema);
+const RefactorReview = mongoose.model('RefactorReview', refactorReviewSchema);
+const IngestionJob = mongoose.model('IngestionJob', ingestionJobSchema);
 
-// Initialize Database (for MongoDB, just connect)
+// Initialize Database (connect, then clean up jobs a previous run left behind)
 export async function initDatabase() {
   await connectDatabase();
+  await failInterruptedIngestionJobs();
+}
+
+// Escape a string for literal use inside a RegExp / $regex
+export function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Restrict a file_path query to files under any of the given prefixes
+function filePathPrefixFilter(pathPrefixes) {
+  if (!pathPrefixes || pathPrefixes.length === 0) {
+    return {};
+  }
+  return { file_path: { $regex: `^(${pathPrefixes.map(escapeRegex).join('|')})/` } };
 }
 
 // Codebase Operations
-export async function insertCodebase(id, name, source) {
+export async function insertCodebase(id, name, source, details = {}) {
   const codebase = new Codebase({
     _id: id,
     name,
-    source
+    source,
+    ...details
   });
   return await codebase.save();
 }
@@ -82,6 +240,39 @@ export async function updateCodebaseStats(id, fileCount, totalSize) {
   });
 }
 
+export async function updateCodebaseEmbeddingModel(id, embeddingModel) {
+  return await Codebase.findByIdAndUpdate(id, {
+    embedding_model: embeddingModel
+  });
+}
+
+export async function updateCodebaseCommit(id, commitSha) {
+  return await Codebase.findByIdAndUpdate(id, {
+    commit_sha: commitSha,
+    synced_at: new Date()
+  });
+}
+
+// A new overview makes the cached narrative stale, so it is dropped
+export async function updateCodebaseOverview(id, overview) {
+  return await Codebase.findByIdAndUpdate(id, {
+    overview,
+    $unset: { summary: 1 }
+  });
+}
+
+export async function updateCodebaseSummary(id, text, model) {
+  return await Codebase.findByIdAndUpdate(id, {
+    summary: { text, model, generated_at: new Date() }
+  });
+}
+
+// null clears the codebase's own setting so it follows REDACT_SECRETS again
+export async function updateCodebaseRedaction(id, enabled) {
+  const update = enabled === null ? { $unset: { redact_secrets: 1 } } : { redact_secrets: enabled };
+  return await Codebase.findByIdAndUpdate(id, update, { new: true });
+}
+
 export async function getCodebase(id) {
   return await Codebase.findById(id);
 }
@@ -90,15 +281,25 @@ export async function getAllCodebases() {
   return await Codebase.find().sort({ created_at: -1 });
 }
 
-export async function deleteCodebase(id) {
-  // Delete codebase and all related files and questions
+// keepJobs leaves ingestion jobs in place, for rolling back a failed ingestion
+// whose job record must still report the failure
+export async function deleteCodebase(id, { keepJobs = false } = {}) {
+  // Delete codebase and all related files, questions, reviews and jobs
   await CodeFile.deleteMany({ codebase_id: id });
+  await CodeChunk.deleteMany({ codebase_id: id });
+  await CodeSymbol.deleteMany({ codebase_id: id });
+  await CodeDependency.deleteMany({ codebase_id: id });
   await Question.deleteMany({ codebase_id: id });
+  await Conversation.deleteMany({ codebase_id: id });
+  await RefactorReview.deleteMany({ codebase_id: id });
+  if (!keepJobs) {
+    await IngestionJob.deleteMany({ codebase_id: id });
+  }
   return await Codebase.findByIdAndDelete(id);
 }
 
 // Code File Operations
-export async function insertCodeFile(codebaseId, filePath, content, language, size) {
+export async function insertCodeFile(codebaseId, filePath, content, language, size, category = null) {
   // Guard: skip empty files — Mongoose `required: true` rejects empty strings
   if (!content || !content.trim()) {
     console.warn(`⚠️  Skipping empty file: ${filePath}`);
@@ -110,13 +311,14 @@ export async function insertCodeFile(codebaseId, filePath, content, language, si
     file_path: filePath,
     content,
     language,
-    size
+    size,
+    category
   });
   return await codeFile.save();
 }
 
-export async function getCodebaseFiles(codebaseId) {
-  const files = await CodeFile.find({ codebase_id: codebaseId }).lean();
+export async function getCodebaseFiles(codebaseId, pathPrefixes = null) {
+  const files = await CodeFile.find({ codebase_id: codebaseId, ...filePathPrefixFilter(pathPrefixes) }).lean();
 
   // Ensure consistent field names for compatibility
   return files.map(file => ({
@@ -125,14 +327,217 @@ export async function getCodebaseFiles(codebaseId) {
     file_path: file.file_path,
     content: file.content || '',
     language: file.language,
-    size: file.size
+    size: file.size,
+    category: file.category || null
+  }));
+}
+
+export async function deleteCodeFiles(codebaseId, filePaths) {
+  // Remove the files and everything derived from them
+  await CodeChunk.deleteMany({ codebase_id: codebaseId, file_path: { $in: filePaths } });
+  await CodeSymbol.deleteMany({ codebase_id: codebaseId, file_path: { $in: filePaths } });
+  return await CodeFile.deleteMany({ codebase_id: codebaseId, file_path: { $in: filePaths } });
+}
+
+export async function getCodeFilesByPaths(codebaseId, filePaths) {
+  const files = await CodeFile.find({
+    codebase_id: codebaseId,
+    file_path: { $in: filePaths }
+  }).lean();
+
+  return files.map(file => ({
+    id: file._id,
+    codebase_id: file.codebase_id,
+    file_path: file.file_path,
+    content: file.content || '',
+    language: file.language,
+    size: file.size,
+    category: file.category || null
   }));
 }
 
+export async function getCodebaseFilePaths(codebaseId) {
+  const files = await CodeFile.find({ codebase_id: codebaseId }, { file_path: 1 }).lean();
+  return files.map(file => file.file_path);
+}
+
+// File listing without contents, for browsing
+export async function getCodebaseFileIndex(codebaseId, pathPrefixes = null) {
+  const files = await CodeFile.find(
+    { codebase_id: codebaseId, ...filePathPrefixFilter(pathPrefixes) },
+    { file_path: 1, language: 1, size: 1, category: 1 }
+  ).sort({ file_path: 1 }).lean();
+
+  return files.map(file => ({
+    file_path: file.file_path,
+    language: file.language,
+    size: file.size,
+    category: file.category || null
+  }));
+}
+
+// Text-indexed search over stored file contents, most relevant first
+export async function searchCodeFiles(search, { codebaseIds = null, limit = 20 } = {}) {
+  const query = { $text: { $search: search } };
+  if (codebaseIds) query.codebase_id = { $in: codebaseIds };
+
+  return await CodeFile.find(query, { score: { $meta: 'textScore' } })
+    .select('codebase_id file_path content language category')
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .lean();
+}
+
+export async function getCodebaseNames(ids) {
+  const query = ids ? { _id: { $in: ids } } : {};
+  const codebases = await Codebase.find(query).select('name').lean();
+  return new Map(codebases.map(c => [c._id, c.name]));
+}
+
+// Code Chunk Operations
+export async function deleteCodebaseChunks(codebaseId) {
+  return await CodeChunk.deleteMany({ codebase_id: codebaseId });
+}
+
+export async function insertCodeChunks(codebaseId, chunks) {
+  if (chunks.length === 0) {
+    return [];
+  }
+
+  return await CodeChunk.insertMany(chunks.map(chunk => ({
+    codebase_id: codebaseId,
+    file_path: chunk.filePath,
+    language: chunk.language,
+    kind: chunk.kind,
+    name: chunk.name,
+    content: chunk.content,
+    start_line: chunk.startLine,
+    end_line: chunk.endLine,
+    category: chunk.category || null,
+    embedding: chunk.embedding
+  })));
+}
+
+export async function getCodebaseChunks(codebaseId, pathPrefixes = null) {
+  const chunks = await CodeChunk.find({ codebase_id: codebaseId, ...filePathPrefixFilter(pathPrefixes) }).lean();
+
+  return chunks.map(chunk => ({
+    id: chunk._id,
+    codebase_id: chunk.codebase_id,
+    file_path: chunk.file_path,
+    language: chunk.language,
+    kind: chunk.kind,
+    name: chunk.name,
+    content: chunk.content,
+    start_line: chunk.start_line,
+    end_line: chunk.end_line,
+    category: chunk.category || null,
+    embedding: chunk.embedding || []
+  }));
+}
+
+// Code Symbol Operations
+export async function insertCodeSymbols(codebaseId, symbols) {
+  if (symbols.length === 0) {
+    return [];
+  }
+
+  return await CodeSymbol.insertMany(symbols.map(symbol => ({
+    codebase_id: codebaseId,
+    file_path: symbol.filePath,
+    language: symbol.language,
+    name: symbol.name,
+    qualified_name: symbol.qualifiedName,
+    kind: symbol.kind,
+    parent: symbol.parent,
+    start_line: symbol.startLine,
+    end_line: symbol.endLine,
+    exported: symbol.exported
+  })));
+}
+
+function formatSymbol(symbol) {
+  return {
+    id: symbol._id,
+    file_path: symbol.file_path,
+    language: symbol.language,
+    name: symbol.name,
+    qualified_name: symbol.qualified_name,
+    kind: symbol.kind,
+    parent: symbol.parent,
+    start_line: symbol.start_line,
+    end_line: symbol.end_line,
+    exported: symbol.exported
+  };
+}
+
+// Filters: name (exact), query (case-insensitive substring of the qualified
+// name), kind, file (path prefix or exact path), exported
+export async function getCodebaseSymbols(codebaseId, filters = {}, limit = 200) {
+  const query = { codebase_id: codebaseId };
+
+  if (filters.name) query.name = filters.name;
+  if (filters.query) query.qualified_name = { $regex: escapeRegex(filters.query), $options: 'i' };
+  if (filters.kind) query.kind = filters.kind;
+  if (filters.exported !== undefined) query.exported = filters.exported;
+  if (filters.file) {
+    const file = filters.file.replace(/\/+$/, '');
+    query.file_path = { $regex: `^${escapeRegex(file)}(/|$)` };
+  }
+
+  const total = await CodeSymbol.countDocuments(query);
+  const symbols = await CodeSymbol.find(query)
+    .sort({ file_path: 1, start_line: 1 })
+    .limit(limit)
+    .lean();
+
+  return { total, symbols: symbols.map(formatSymbol) };
+}
+
+export async function findSymbolsByNames(codebaseId, names, pathPrefixes = null) {
+  if (names.length === 0) {
+    return [];
+  }
+
+  const symbols = await CodeSymbol.find({
+    codebase_id: codebaseId,
+    $or: [{ name: { $in: names } }, { qualified_name: { $in: names } }],
+    ...filePathPrefixFilter(pathPrefixes)
+  }).lean();
+
+  return symbols.map(formatSymbol);
+}
+
+// Code Dependency Operations
+// Imports resolve against the whole file set, so the graph is always replaced wholesale
+export async function replaceCodebaseDependencies(codebaseId, dependencies) {
+  await CodeDependency.deleteMany({ codebase_id: codebaseId });
+  if (dependencies.length === 0) {
+    return [];
+  }
+
+  return await CodeDependency.insertMany(dependencies.map(dependency => ({
+    codebase_id: codebaseId,
+    source_path: dependency.sourcePath,
+    target_path: dependency.targetPath,
+    specifier: dependency.specifier,
+    package: dependency.package,
+    line: dependency.line
+  })));
+}
+
+export async function getCodebaseDependencies(codebaseId) {
+  return await CodeDependency.find({ codebase_id: codebaseId })
+    .select('source_path target_path specifier package line')
+    .sort({ source_path: 1, line: 1 })
+    .lean();
+}
+
 // Question Operations
-export async function insertQuestion(codebaseId, question, answer, fileReferences, mermaidCode = null) {
+export async function insertQuestion(codebaseId, question, answer, fileReferences, mermaidCode = null, conversationId = null) {
   const newQuestion = new Question({
     codebase_id: codebaseId,
+    conversation_id: conversationId,
     question,
     answer,
     file_references: fileReferences,
@@ -143,65 +548,290 @@ export async function insertQuestion(codebaseId, question, answer, fileReference
   return { lastInsertRowid: saved._id };
 }
 
-export async function getRecentQuestions(codebaseId, limit = 10) {
-  const questions = await Question.find({ codebase_id: codebaseId })
-    .sort({ created_at: -1 })
-    .limit(limit);
-
-  return questions.map(q => ({
+function formatQuestion(q) {
+  return {
     id: q._id,
     codebase_id: q.codebase_id,
+    conversation_id: q.conversation_id,
     question: q.question,
     answer: q.answer,
     file_references: q.file_references,
     mermaid_code: q.mermaid_code,
     tags: q.tags,
+    pinned: q.pinned || false,
     created_at: q.created_at
-  }));
+  };
+}
+
+// History cursors are opaque to clients: the created_at and _id of the last
+// question on the previous page
+export function encodeHistoryCursor(question) {
+  return Buffer.from(`${question.created_at.toISOString()}|${question.id}`).toString('base64url');
 }
 
-export async function addTagToQuestion(questionId, tagName) {
-  return await Question.findByIdAndUpdate(
+export function decodeHistoryCursor(cursor) {
+  const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+  const date = new Date(createdAt);
+  if (!id || !mongoose.isValidObjectId(id) || isNaN(date.getTime())) {
+    return null;
+  }
+  return { createdAt: date, id: new mongoose.Types.ObjectId(id) };
+}
+
+// One page of a codebase's history, newest first. `cursor` is a decoded
+// cursor; nextCursor is null on the last page
+export async function getQuestionHistory(codebaseId, { limit = 10, cursor = null, tag = null, pinned } = {}) {
+  const query = { codebase_id: codebaseId };
+  if (tag) query.tags = tag;
+  if (pinned !== undefined) query.pinned = pinned ? true : { $ne: true };
+  if (cursor) {
+    query.$or = [
+      { created_at: { $lt: cursor.createdAt } },
+      { created_at: cursor.createdAt, _id: { $lt: cursor.id } }
+    ];
+  }
+
+  // One extra row tells whether another page follows
+  const questions = await Question.find(query)
+    .sort({ created_at: -1, _id: -1 })
+    .limit(limit + 1);
+
+  const page = questions.slice(0, limit).map(formatQuestion);
+  return {
+    questions: page,
+    nextCursor: questions.length > limit ? encodeHistoryCursor(page[page.length - 1]) : null
+  };
+}
+
+export async function getQuestion(questionId) {
+  if (!mongoose.isValidObjectId(questionId)) return null;
+  const question = await Question.findById(questionId);
+  return question ? formatQuestion(question) : null;
+}
+
+export async function addTagsToQuestion(questionId, tagNames) {
+  if (!mongoose.isValidObjectId(questionId)) return null;
+  const question = await Question.findByIdAndUpdate(
     questionId,
-    { $addToSet: { tags: tagName } },
+    { $addToSet: { tags: { $each: tagNames } } },
     { new: true }
   );
+  return question ? formatQuestion(question) : null;
 }
 
+export async function removeTagFromQuestion(questionId, tagName) {
+  if (!mongoose.isValidObjectId(questionId)) return null;
+  const question = await Question.findByIdAndUpdate(
+    questionId,
+    { $pull: { tags: tagName } },
+    { new: true }
+  );
+  return question ? formatQuestion(question) : null;
+}
+
+export async function setQuestionPinned(questionId, pinned) {
+  if (!mongoose.isValidObjectId(questionId)) return null;
+  const question = await Question.findByIdAndUpdate(questionId, { pinned }, { new: true });
+  return question ? formatQuestion(question) : null;
+}
+
+// Delete one question, and its conversation if that was the last turn
+export async function deleteQuestion(questionId) {
+  if (!mongoose.isValidObjectId(questionId)) return null;
+  const question = await Question.findByIdAndDelete(questionId);
+  if (!question) return null;
+
+  await deleteEmptyConversations(question.codebase_id);
+  return formatQuestion(question);
+}
+
+// Keep the newest `keepCount` unpinned questions; pinned ones are not counted or deleted
 export async function deleteOldQuestions(codebaseId, keepCount = 10) {
-  const questions = await Question.find({ codebase_id: codebaseId })
+  const questions = await Question.find({ codebase_id: codebaseId, pinned: { $ne: true } })
     .sort({ created_at: -1 })
     .skip(keepCount);
 
   const idsToDelete = questions.map(q => q._id);
 
   if (idsToDelete.length > 0) {
-    return await Question.deleteMany({ _id: { $in: idsToDelete } });
+    const result = await Question.deleteMany({ _id: { $in: idsToDelete } });
+    await deleteEmptyConversations(codebaseId);
+    return result;
   }
 
   return { deletedCount: 0 };
 }
 
-export async function searchQuestions(codebaseId, searchTerm) {
-  const questions = await Question.find({
+// Text-indexed search, most relevant first. `search` is a $text search string
+// (see buildTextQuery); codebaseIds null searches every codebase
+export async function searchQuestions(search, { codebaseIds = null, limit = 20 } = {}) {
+  const query = { $text: { $search: search } };
+  if (codebaseIds) query.codebase_id = { $in: codebaseIds };
+
+  const questions = await Question.find(query, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' }, created_at: -1 })
+    .limit(limit)
+    .lean();
+
+  return questions.map(q => ({ ...formatQuestion(q), score: q.score }));
+}
+
+// Conversation Operations
+export async function insertConversation(id, codebaseId, title) {
+  const conversation = new Conversation({
+    _id: id,
     codebase_id: codebaseId,
-    $or: [
-      { question: { $regex: searchTerm, $options: 'i' } },
-      { answer: { $regex: searchTerm, $options: 'i' } }
-    ]
-  }).sort({ created_at: -1 });
+    title
+  });
+  return await conversation.save();
+}
 
-  return questions.map(q => ({
-    id: q._id,
-    codebase_id: q.codebase_id,
-    question: q.question,
-    answer: q.answer,
-    file_references: q.file_references,
+export async function getConversation(id) {
+  return await Conversation.findById(id);
+}
 
-    mermaid_code: q.mermaid_code,
-    tags: q.tags,
-    created_at: q.created_at
+export async function touchConversation(id) {
+  return await Conversation.findByIdAndUpdate(id, { updated_at: new Date() });
+}
+
+export async function getConversations(codebaseId) {
+  const conversations = await Conversation.find({ codebase_id: codebaseId })
+    .sort({ updated_at: -1 })
+    .lean();
+
+  const counts = await Question.aggregate([
+    { $match: { codebase_id: codebaseId, conversation_id: { $in: conversations.map(c => c._id) } } },
+    { $group: { _id: '$conversation_id', count: { $sum: 1 } } }
+  ]);
+  const countById = new Map(counts.map(c => [c._id, c.count]));
+
+  return conversations.map(c => ({
+    id: c._id,
+    codebase_id: c.codebase_id,
+    title: c.title,
+    turn_count: countById.get(c._id) || 0,
+    created_at: c.created_at,
+    updated_at: c.updated_at
   }));
 }
 
+export async function getConversationTurns(conversationId) {
+  const questions = await Question.find({ conversation_id: conversationId })
+    .sort({ created_at: 1 });
+
+  return questions.map(formatQuestion);
+}
+
+export async function deleteEmptyConversations(codebaseId) {
+  const activeIds = await Question.distinct('conversation_id', { codebase_id: codebaseId });
+  return await Conversation.deleteMany({
+    codebase_id: codebaseId,
+    _id: { $nin: activeIds.filter(Boolean) }
+  });
+}
+
+// Refactor Review Operations
+export async function insertRefactorReview(id, codebaseId, review) {
+  const refactorReview = new RefactorReview({
+    _id: id,
+    codebase_id: codebaseId,
+    paths: review.paths,
+    dir: review.dir,
+    files_reviewed: review.filesReviewed,
+    mode: review.mode,
+    findings: review.findings,
+    analysis: review.analysis,
+    suggestions: review.suggestions,
+    batch_count: review.batchCount,
+    failed_batches: review.failedBatches
+  });
+  return await refactorReview.save();
+}
+
+function formatRefactorReview(review) {
+  return {
+    id: review._id,
+    codebase_id: review.codebase_id,
+    paths: review.paths,
+    dir: review.dir || null,
+    files_reviewed: review.files_reviewed,
+    mode: review.mode || 'full',
+    findings: review.findings || [],
+    analysis: review.analysis || null,
+    suggestions: review.suggestions,
+    batch_count: review.batch_count,
+    failed_batches: review.failed_batches,
+    created_at: review.created_at
+  };
+}
+
+// Newest first; the list leaves out suggestions and findings and carries their counts instead
+export async function getRefactorReviews(codebaseId) {
+  const reviews = await RefactorReview.find({ codebase_id: codebaseId })
+    .sort({ created_at: -1 })
+    .lean();
+
+  return reviews.map(review => {
+    const { suggestions, findings, ...rest } = formatRefactorReview(review);
+    return { ...rest, suggestion_count: suggestions.length, finding_count: findings.length };
+  });
+}
+
+export async function getRefactorReview(id) {
+  const review = await RefactorReview.findById(id).lean();
+  return review ? formatRefactorReview(review) : null;
+}
+
+// Ingestion Job Operations
+export async function insertIngestionJob(id, codebaseId, type) {
+  const job = new IngestionJob({
+    _id: id,
+    codebase_id: codebaseId,
+    type
+  });
+  return await job.save();
+}
+
+export async function updateIngestionJob(id, fields) {
+  return await IngestionJob.findByIdAndUpdate(
+    id,
+    { ...fields, updated_at: new Date() },
+    { new: true }
+  );
+}
+
+export async function getIngestionJob(id) {
+  const job = await IngestionJob.findById(id).lean();
+  if (!job) return null;
+
+  return {
+    id: job._id,
+    codebase_id: job.codebase_id,
+    type: job.type,
+    status: job.status,
+    phase: job.phase,
+    files_total: job.files_total,
+    files_processed: job.files_processed,
+    result: job.result,
+    error: job.error,
+    error_reason: job.error_reason || null,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    finished_at: job.finished_at
+  };
+}
+
+// Jobs cannot survive a restart — mark any left unfinished as failed
+export async function failInterruptedIngestionJobs() {
+  return await IngestionJob.updateMany(
+    { status: { $in: ['queued', 'running'] } },
+    {
+      status: 'failed',
+      error: 'Server restarted before ingestion finished',
+      updated_at: new Date(),
+      finished_at: new Date()
+    }
+  );
+}
+
 export default mongoose;
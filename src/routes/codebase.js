@@ -0,0 +1,462 @@
+import express from 'express';
+import {
+    getCodebase,
+    getCodebaseFiles,
+    getCodebaseFileIndex,
+    getCodeFilesByPaths,
+    getCodebaseSymbols,
+    getCodebaseDependencies,
+    updateCodebaseOverview,
+    updateCodebaseSummary,
+    updateCodebaseRedaction
+} from '../models/database.js';
+import { buildModuleGraph, toMermaid } from '../services/dependencyGraph.js';
+import { buildOverview } from '../services/overviewService.js';
+import { generateCodebaseSummary } from '../services/aiService.js';
+import { searchFiles, MAX_SEARCH_MATCHES } from '../services/searchService.js';
+import { scanFiles, redactionEnabled } from '../services/securityScanner.js';
+import { rebuildCodebaseIndex } from '../services/retrievalService.js';
+
+const router = express.Router();
+
+// Upper bound on symbols returned by one request
+const MAX_SYMBOL_LIMIT = 1000;
+
+/**
+ * Normalize the dir query parameter ("./src/" → "src"). A repeated parameter
+ * arrives as an array, so it is read as a string first.
+ * @param {*} value
+ * @returns {string} - '' for the whole codebase
+ */
+function queryDir(value) {
+    return String(value || '').replace(/^\.?\/+|\/+$/g, '');
+}
+
+/**
+ * Nest a flat file listing into a directory tree with aggregate sizes
+ * @param {Array} files - From getCodebaseFileIndex
+ * @param {string} rootPath - Directory the listing was scoped to ('' for the whole codebase)
+ * @returns {Object} - Directory node: { name, path, type, size, fileCount, children }
+ */
+function buildFileTree(files, rootPath) {
+    const root = { name: rootPath.split('/').pop() || '', path: rootPath, type: 'directory', size: 0, fileCount: 0, children: [] };
+
+    for (const file of files) {
+        const relative = rootPath ? file.file_path.slice(rootPath.length + 1) : file.file_path;
+        const segments = relative.split('/');
+
+        let node = root;
+        node.size += file.size;
+        node.fileCount++;
+        for (const segment of segments.slice(0, -1)) {
+            let child = node.children.find(c => c.type === 'directory' && c.name === segment);
+            if (!child) {
+                child = {
+                    name: segment,
+                    path: node.path ? `${node.path}/${segment}` : segment,
+                    type: 'directory',
+                    size: 0,
+                    fileCount: 0,
+                    children: []
+                };
+                node.children.push(child);
+            }
+            node = child;
+            node.size += file.size;
+            node.fileCount++;
+        }
+
+        node.children.push({
+            name: segments[segments.length - 1],
+            path: file.file_path,
+            type: 'file',
+            size: file.size,
+            language: file.language,
+            category: file.category
+        });
+    }
+
+    // Directories first, then by name
+    const sort = (node) => {
+        node.children.sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'directory' ? -1 : 1));
+        node.children.filter(child => child.type === 'directory').forEach(sort);
+    };
+    sort(root);
+
+    return root;
+}
+
+// File tree with sizes and languages. Query: dir (only this directory)
+router.get('/:codebaseId/tree', async (req, res) => {
+    try {
+        const { codebaseId } = req.params;
+        const dir = queryDir(req.query.dir);
+
+        const codebase = await getCodebase(codebaseId);
+        if (!codebase) {
+            return res.status(404).json({ success: false, error: 'Codebase not found' });
+        }
+
+        const files = await getCodebaseFileIndex(codebaseId, dir ? [dir] : null);
+        if (dir && files.length === 0) {
+            return res.status(404).json({ success: false, error: 'Directory not found' });
+        }
+
+        res.json({
+            success: true,
+            tree: buildFileTree(files, dir),
+            fileCount: files.length
+        });
+
+    } catch (error) {
+        console.error('File tree error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to list files'
+        });
+    }
+});
+
+// One file's content. Query: path (required), start and end (1-based, inclusive)
+router.get('/:codebaseId/file', async (req, res) => {
+    try {
+        const { codebaseId } = req.params;
+        const { path: filePath, start, end } = req.query;
+
+        if (!filePath) {
+            return res.status(400).json({ success: false, error: 'path is required' });
+        }
+
+        const startLine = start === undefined ? 1 : parseInt(start);
+        const endLine = end === undefined ? null : parseInt(end);
+        if (!(startLine >= 1) || (endLine !== null && !(endLine >= startLine))) {
+            return res.status(400).json({ success: false, error: 'start and end must be line numbers with start <= end' });
+        }
+
+        const codebase = await getCodebase(codebaseId);
+        if (!codebase) {
+            return res.status(404).json({ success: false, error: 'Codebase not found' });
+        }
+
+        const [file] = await getCodeFilesByPaths(codebaseId, [String(filePath)]);
+        if (!file) {
+            return res.status(404).json({ success: false, error: 'File not found' });
+        }
+
+        const lines = file.content.split('\n');
+        const totalLines = lines.length;
+        if (startLine > totalLines) {
+            return res.status(400).json({ success: false, error: `start is past the end of the file (${totalLines} lines)` });
+        }
+        const lastLine = Math.min(endLine || totalLines, totalLines);
+
+        res.json({
+            success: true,
+            file: {
+                path: file.file_path,
+                language: file.language,
+                size: file.size,
+                category: file.category,
+                totalLines,
+                startLine,
+                endLine: lastLine,
+                content: lines.slice(startLine - 1, lastLine).join('\n')
+            }
+        });
+
+    } catch (error) {
+        console.error('File content error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to fetch file'
+        });
+    }
+});
+
+// Search file contents. Query: q (required), regex, caseSensitive, wholeWord
+// (true/false), dir (only files under it), limit (max matches)
+router.get('/:codebaseId/search', async (req, res) => {
+    try {
+        const { codebaseId } = req.params;
+        const { q, regex, caseSensitive, wholeWord, limit } = req.query;
+        const dir = queryDir(req.query.dir);
+
+        if (!q) {
+            return res.status(400).json({ success: false, error: 'q is required' });
+        }
+
+        const codebase = await getCodebase(codebaseId);
+        if (!codebase) {
+            return res.status(404).json({ success: false, error: 'Codebase not found' });
+        }
+
+        const files = await getCodebaseFiles(codebaseId, dir ? [dir] : null);
+        const result = await searchFiles(files, String(q), {
+            regex: regex === 'true',
+            caseSensitive: caseSensitive === 'true',
+            wholeWord: wholeWord === 'true',
+            maxMatches: Math.min(Math.max(1, parseInt(limit) || 200), MAX_SEARCH_MATCHES)
+        });
+
+        res.json({
+            success: true,
+            files: result.files,
+            fileCount: result.files.length,
+            totalMatches: result.totalMatches,
+            truncated: result.truncated
+        });
+
+    } catch (error) {
+        if (error.reason) {
+            return res.status(400).json({ success: false, error: error.message, reason: error.reason });
+        }
+        console.error('Search error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Search failed'
+        });
+    }
+});
+
+// List the symbols a codebase defines.
+// Query: name (exact), q (substring of the qualified name), kind, file (path or
+// directory), exported (true/false), limit
+router.get('/:codebaseId/symbols', async (req, res) => {
+    try {
+        const { codebaseId } = req.params;
+        const { name, q, kind, file, exported, limit } = req.query;
+
+        const codebase = await getCodebase(codebaseId);
+        if (!codebase) {
+            return res.status(404).json({ success: false, error: 'Codebase not found' });
+        }
+
+        const filters = {
+            name: name || null,
+            query: q || null,
+            kind: kind || null,
+            file: file || null,
+            exported: exported === undefined ? undefined : exported === 'true'
+        };
+        const symbolLimit = Math.min(Math.max(1, parseInt(limit) || 200), MAX_SYMBOL_LIMIT);
+
+        const { total, symbols } = await getCodebaseSymbols(codebaseId, filters, symbolLimit);
+
+        res.json({
+            success: true,
+            symbols,
+            count: symbols.length,
+            total
+        });
+
+    } catch (error) {
+        console.error('Symbols error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to fetch symbols'
+        });
+    }
+});
+
+// Overview computed at ingest: languages by lines, top-level structure,
+// frameworks from package manifests, entry points and largest modules.
+// Query: narrative=true adds the cached LLM summary (written on first request),
+// refresh=true rewrites it
+router.get('/:codebaseId/overview', async (req, res) => {
+    try {
+        const { codebaseId } = req.params;
+        const wantsNarrative = req.query.narrative === 'true';
+        const refresh = req.query.refresh === 'true';
+
+        const codebase = await getCodebase(codebaseId);
+        if (!codebase) {
+            return res.status(404).json({ success: false, error: 'Codebase not found' });
+        }
+
+        // Codebases ingested before overviews existed get theirs on first request
+        let overview = codebase.overview;
+        if (!overview) {
+            const files = await getCodebaseFiles(codebaseId);
+            const dependencies = await getCodebaseDependencies(codebaseId);
+            overview = buildOverview(files, dependencies);
+            await updateCodebaseOverview(codebaseId, overview);
+        }
+
+        let summary = codebase.summary && codebase.summary.text ? codebase.summary : null;
+        let summaryError = null;
+        if (wantsNarrative && (!summary || refresh)) {
+            try {
+                const { text, model } = await generateCodebaseSummary(codebase.name, overview);
+                await updateCodebaseSummary(codebaseId, text, model);
+                summary = { text, model, generated_at: new Date() };
+            } catch (error) {
+                // The overview is still useful without the narrative
+                summaryError = error.message;
+            }
+        }
+
+        res.json({
+            success: true,
+            codebaseId,
+            name: codebase.name,
+            overview,
+            ...(wantsNarrative ? {
+                summary: summary ? {
+                    text: summary.text,
+                    model: summary.model,
+                    generatedAt: summary.generated_at
+                } : null,
+                ...(summaryError ? { summaryError } : {})
+            } : {})
+        });
+
+    } catch (error) {
+        console.error('Overview error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to build overview'
+        });
+    }
+});
+
+// Module graph built from the imports resolved at ingestion.
+// Query: format (json or mermaid), dir (only files under it), depth (collapse
+// files into directories this many levels below dir), external (include packages)
+router.get('/:codebaseId/graph', async (req, res) => {
+    try {
+        const { codebaseId } = req.params;
+        const { format = 'json', dir, depth, external } = req.query;
+
+        if (!['json', 'mermaid'].includes(format)) {
+            return res.status(400).json({ success: false, error: 'format must be json or mermaid' });
+        }
+
+        const collapseDepth = depth === undefined ? null : parseInt(depth);
+        if (collapseDepth !== null && !(collapseDepth >= 1)) {
+            return res.status(400).json({ success: false, error: 'depth must be a positive integer' });
+        }
+
+        const codebase = await getCodebase(codebaseId);
+        if (!codebase) {
+            return res.status(404).json({ success: false, error: 'Codebase not found' });
+        }
+
+        const dependencies = await getCodebaseDependencies(codebaseId);
+        const graph = buildModuleGraph(dependencies, {
+            dir: dir || null,
+            depth: collapseDepth,
+            external: external === 'true'
+        });
+
+        if (format === 'mermaid') {
+            const { mermaidCode, truncated } = toMermaid(graph);
+            return res.json({
+                success: true,
+                mermaidCode,
+                nodeCount: graph.nodes.length,
+                edgeCount: graph.edges.length,
+                truncated
+            });
+        }
+
+        res.json({
+            success: true,
+            nodes: graph.nodes,
+            edges: graph.edges,
+            nodeCount: graph.nodes.length,
+            edgeCount: graph.edges.length
+        });
+
+    } catch (error) {
+        console.error('Module graph error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to build module graph'
+        });
+    }
+});
+
+// Scan stored files for likely secrets and risky sinks (eval, shell commands
+// and SQL built from interpolated strings). Secret values are masked.
+// Query: type (secret or risk), severity (high, medium or low), dir (only files under it)
+router.get('/:codebaseId/security', async (req, res) => {
+    try {
+        const { codebaseId } = req.params;
+        const { type, severity } = req.query;
+        const dir = queryDir(req.query.dir);
+
+        if (type && !['secret', 'risk'].includes(type)) {
+            return res.status(400).json({ success: false, error: 'type must be secret or risk' });
+        }
+        if (severity && !['high', 'medium', 'low'].includes(severity)) {
+            return res.status(400).json({ success: false, error: 'severity must be high, medium or low' });
+        }
+
+        const codebase = await getCodebase(codebaseId);
+        if (!codebase) {
+            return res.status(404).json({ success: false, error: 'Codebase not found' });
+        }
+
+        const files = await getCodebaseFiles(codebaseId, dir ? [dir] : null);
+        const { findings, summary } = scanFiles(files);
+
+        res.json({
+            success: true,
+            codebaseId,
+            redactionEnabled: redactionEnabled(codebase),
+            summary,
+            findings: findings.filter(finding =>
+                (!type || finding.type === type) && (!severity || finding.severity === severity)
+            )
+        });
+
+    } catch (error) {
+        console.error('Security scan error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Security scan failed'
+        });
+    }
+});
+
+// Turn secret redaction on or off for a codebase. Body: { enabled: true|false|null },
+// null to follow REDACT_SECRETS. Applies to content sent to models from now on;
+// when the effective setting changes, the whole semantic index is re-embedded
+router.put('/:codebaseId/redaction', async (req, res) => {
+    try {
+        const { codebaseId } = req.params;
+        const { enabled } = req.body;
+
+        if (enabled !== null && typeof enabled !== 'boolean') {
+            return res.status(400).json({ success: false, error: 'enabled must be true, false or null' });
+        }
+
+        const previous = await getCodebase(codebaseId);
+        if (!previous) {
+            return res.status(404).json({ success: false, error: 'Codebase not found' });
+        }
+
+        const codebase = await updateCodebaseRedaction(codebaseId, enabled);
+        const changed = redactionEnabled(codebase) !== redactionEnabled(previous);
+        // Vectors built from the other kind of text would keep (or lack) the secrets
+        const index = changed ? await rebuildCodebaseIndex(codebaseId) : null;
+
+        res.json({
+            success: true,
+            codebaseId,
+            redactionEnabled: redactionEnabled(codebase),
+            followsDefault: typeof codebase.redact_secrets !== 'boolean',
+            reindexed: changed,
+            ...(index ? { chunkCount: index.chunkCount, embeddingModel: index.embeddingModel } : {})
+        });
+
+    } catch (error) {
+        console.error('Redaction setting error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to update redaction setting'
+        });
+    }
+});
+
+export default router;
@@ -3,6 +3,7 @@ import mongoose from 'mongoose';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getLLMProvider } from '../services/llmProvider.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -33,10 +34,10 @@ router.get('/', async (req, res) => {
         health.status = 'degraded';
     }
 
-    // ── AI / OpenAI key check ──
+    // ── AI provider check ──
     try {
-        if (!process.env.OPENAI_API_KEY) throw new Error('OPENAI_API_KEY not set');
-        health.ai = { status: 'configured', provider: 'OpenAI' };
+        health.ai = getLLMProvider().describe();
+        if (health.ai.status !== 'configured') health.status = 'degraded';
     } catch (err) {
         health.ai = { status: 'not_configured', error: err.message };
         health.status = 'degraded';
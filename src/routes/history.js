@@ -1,30 +1,98 @@
 import express from 'express';
-import { getRecentQuestions, searchQuestions, getAllCodebases, deleteCodebase } from '../models/database.js';
+import {
+    getQuestionHistory,
+    decodeHistoryCursor,
+    getQuestion,
+    addTagsToQuestion,
+    removeTagFromQuestion,
+    setQuestionPinned,
+    deleteQuestion,
+    searchQuestions,
+    getAllCodebases,
+    deleteCodebase,
+    getConversations,
+    getConversation,
+    getConversationTurns,
+    getRefactorReviews,
+    getRefactorReview,
+    getCodeFilesByPaths
+} from '../models/database.js';
+import { combineReviewPatches } from '../services/patchService.js';
+import { buildTextQuery } from '../services/textSearch.js';
 
 const router = express.Router();
 
-// Get Q&A history for a codebase
+// Largest page of history one request returns
+const MAX_HISTORY_PAGE = 100;
+
+// Longest tag accepted
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Read tags from a request body: { tags: [...] } or { tag: '...' }
+ * @param {Object} body
+ * @returns {{tags: Array<string>, error?: string}}
+ */
+function parseTags({ tags, tag }) {
+    const values = tags !== undefined ? tags : (tag !== undefined ? [tag] : []);
+    if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) {
+        return { tags: [], error: 'tags must be an array of strings' };
+    }
+
+    const names = [...new Set(values.map(value => value.trim()).filter(Boolean))];
+    if (names.length === 0) {
+        return { tags: [], error: 'At least one tag is required' };
+    }
+    if (names.some(name => name.length > MAX_TAG_LENGTH)) {
+        return { tags: [], error: `Tags are at most ${MAX_TAG_LENGTH} characters` };
+    }
+
+    return { tags: names };
+}
+
+// Get Q&A history for a codebase, newest first.
+// Query: limit, cursor (nextCursor of the previous page), tag, pinned
+// (true/false); search returns the most relevant matches instead of a page
 router.get('/:codebaseId', async (req, res) => {
     try {
         const { codebaseId } = req.params;
-        const { search, limit } = req.query;
-
-        let questions;
+        const { search, limit, cursor, tag, pinned } = req.query;
 
         if (search) {
-            questions = await searchQuestions(codebaseId, search);
-        } else {
-            const questionLimit = parseInt(limit) || 10;
-            questions = await getRecentQuestions(codebaseId, questionLimit);
+            const questions = await searchQuestions(buildTextQuery(search).search, {
+                codebaseIds: [codebaseId],
+                limit: Math.min(Math.max(1, parseInt(limit) || 20), MAX_HISTORY_PAGE)
+            });
+            return res.json({
+                success: true,
+                questions,
+                count: questions.length
+            });
         }
 
+        const decodedCursor = cursor ? decodeHistoryCursor(cursor) : null;
+        if (cursor && !decodedCursor) {
+            return res.status(400).json({ success: false, error: 'Invalid cursor' });
+        }
+
+        const { questions, nextCursor } = await getQuestionHistory(codebaseId, {
+            limit: Math.min(Math.max(1, parseInt(limit) || 10), MAX_HISTORY_PAGE),
+            cursor: decodedCursor,
+            tag: tag || null,
+            pinned: pinned === undefined ? undefined : pinned === 'true'
+        });
+
         res.json({
             success: true,
             questions,
-            count: questions.length
+            count: questions.length,
+            nextCursor
         });
 
     } catch (error) {
+        if (error.reason) {
+            return res.status(400).json({ success: false, error: error.message, reason: error.reason });
+        }
         console.error('History error:', error);
         res.status(500).json({
             success: false,
@@ -33,6 +101,252 @@ router.get('/:codebaseId', async (req, res) => {
     }
 });
 
+// Get one question with its answer
+router.get('/questions/:questionId', async (req, res) => {
+    try {
+        const question = await getQuestion(req.params.questionId);
+
+        if (!question) {
+            return res.status(404).json({ success: false, error: 'Question not found' });
+        }
+
+        res.json({ success: true, question });
+
+    } catch (error) {
+        console.error('Question error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to fetch question'
+        });
+    }
+});
+
+// Add tags to a question. Body: { tags: [...] } or { tag: '...' }
+router.post('/questions/:questionId/tags', async (req, res) => {
+    try {
+        const { tags, error } = parseTags(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const question = await addTagsToQuestion(req.params.questionId, tags);
+        if (!question) {
+            return res.status(404).json({ success: false, error: 'Question not found' });
+        }
+
+        res.json({ success: true, question });
+
+    } catch (error) {
+        console.error('Add tags error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to add tags'
+        });
+    }
+});
+
+// Remove one tag from a question
+router.delete('/questions/:questionId/tags/:tag', async (req, res) => {
+    try {
+        const question = await removeTagFromQuestion(req.params.questionId, req.params.tag);
+
+        if (!question) {
+            return res.status(404).json({ success: false, error: 'Question not found' });
+        }
+
+        res.json({ success: true, question });
+
+    } catch (error) {
+        console.error('Remove tag error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to remove tag'
+        });
+    }
+});
+
+// Pin or unpin a question; pinned questions are kept when history is pruned.
+// Body: { pinned: true|false }
+router.put('/questions/:questionId/pin', async (req, res) => {
+    try {
+        const { pinned } = req.body;
+
+        if (typeof pinned !== 'boolean') {
+            return res.status(400).json({ success: false, error: 'pinned must be true or false' });
+        }
+
+        const question = await setQuestionPinned(req.params.questionId, pinned);
+        if (!question) {
+            return res.status(404).json({ success: false, error: 'Question not found' });
+        }
+
+        res.json({ success: true, question });
+
+    } catch (error) {
+        console.error('Pin question error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to update question'
+        });
+    }
+});
+
+// Delete one question (and its conversation, if it was the only turn)
+router.delete('/questions/:questionId', async (req, res) => {
+    try {
+        const question = await deleteQuestion(req.params.questionId);
+
+        if (!question) {
+            return res.status(404).json({ success: false, error: 'Question not found' });
+        }
+
+        res.json({ success: true, message: 'Question deleted successfully' });
+
+    } catch (error) {
+        console.error('Delete question error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to delete question'
+        });
+    }
+});
+
+// List conversation threads for a codebase (most recently active first)
+router.get('/:codebaseId/conversations', async (req, res) => {
+    try {
+        const { codebaseId } = req.params;
+        const conversations = await getConversations(codebaseId);
+
+        res.json({
+            success: true,
+            conversations,
+            count: conversations.length
+        });
+
+    } catch (error) {
+        console.error('Conversations error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to fetch conversations'
+        });
+    }
+});
+
+// Get every turn of a conversation, oldest first — pass its id as
+// `conversationId` to /api/question/ask to resume it
+router.get('/conversations/:conversationId', async (req, res) => {
+    try {
+        const { conversationId } = req.params;
+        const conversation = await getConversation(conversationId);
+
+        if (!conversation) {
+            return res.status(404).json({ success: false, error: 'Conversation not found' });
+        }
+
+        const turns = await getConversationTurns(conversationId);
+
+        res.json({
+            success: true,
+            conversation: {
+                id: conversation._id,
+                codebase_id: conversation.codebase_id,
+                title: conversation.title,
+                created_at: conversation.created_at,
+                updated_at: conversation.updated_at
+            },
+            turns
+        });
+
+    } catch (error) {
+        console.error('Conversation error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to fetch conversation'
+        });
+    }
+});
+
+// List saved refactor reviews for a codebase (newest first, without suggestions)
+router.get('/:codebaseId/reviews', async (req, res) => {
+    try {
+        const { codebaseId } = req.params;
+        const reviews = await getRefactorReviews(codebaseId);
+
+        res.json({
+            success: true,
+            reviews,
+            count: reviews.length
+        });
+
+    } catch (error) {
+        console.error('Reviews error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to fetch reviews'
+        });
+    }
+});
+
+// Get one saved refactor review with its suggestions
+router.get('/reviews/:reviewId', async (req, res) => {
+    try {
+        const review = await getRefactorReview(req.params.reviewId);
+
+        if (!review) {
+            return res.status(404).json({ success: false, error: 'Review not found' });
+        }
+
+        res.json({
+            success: true,
+            review
+        });
+
+    } catch (error) {
+        console.error('Review error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to fetch review'
+        });
+    }
+});
+
+// Download every applicable patch of a review as one .patch file, built
+// against the files as they are stored now
+router.get('/reviews/:reviewId/patch', async (req, res) => {
+    try {
+        const review = await getRefactorReview(req.params.reviewId);
+
+        if (!review) {
+            return res.status(404).json({ success: false, error: 'Review not found' });
+        }
+
+        const paths = [...new Set(review.suggestions.filter(s => s.patchStatus === 'applies').map(s => s.file))];
+        const files = await getCodeFilesByPaths(review.codebase_id, paths);
+        const { patch, applied, skipped } = combineReviewPatches(review.suggestions, files);
+
+        if (!patch) {
+            return res.status(404).json({
+                success: false,
+                error: 'This review has no patches that apply to the stored files',
+                skipped
+            });
+        }
+
+        res.setHeader('Content-Type', 'text/x-patch; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="review-${review.id}.patch"`);
+        res.setHeader('X-Patches-Applied', String(applied.length));
+        res.setHeader('X-Patches-Skipped', String(skipped.length));
+        res.send(patch);
+
+    } catch (error) {
+        console.error('Review patch error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to build patch'
+        });
+    }
+});
+
 // Get all codebases
 router.get('/', async (req, res) => {
     try {
@@ -52,7 +366,7 @@ router.get('/', async (req, res) => {
     }
 });
 
-// Delete a codebase session (cascades to files + questions)
+// Delete a codebase session (cascades to files, questions, reviews and ingestion jobs)
 router.delete('/:codebaseId', async (req, res) => {
     try {
         const { codebaseId } = req.params;
@@ -1,51 +1,183 @@
 import express from 'express';
-import { answerQuestion } from '../services/aiService.js';
-import { insertQuestion, addTagToQuestion, deleteOldQuestions } from '../models/database.js';
+import { answerQuestion, streamAnswer } from '../services/aiService.js';
+import { v4 as uuidv4 } from 'uuid';
+import { envInt } from '../config.js';
+import {
+    insertQuestion,
+    addTagsToQuestion,
+    deleteOldQuestions,
+    insertConversation,
+    getConversation,
+    touchConversation,
+    getConversationTurns,
+    getCodebase
+} from '../models/database.js';
 
 const router = express.Router();
 
+/**
+ * Validate the body shared by /ask and /ask/stream
+ * @param {Object} body
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateQuestionRequest({ codebaseId, question, conversationId }) {
+    if (!codebaseId || !question) {
+        return 'Codebase ID and question are required';
+    }
+
+    if (typeof codebaseId !== 'string' || typeof question !== 'string') {
+        return 'Codebase ID and question must be strings';
+    }
+
+    if (question.trim().length < 5) {
+        return 'Question must be at least 5 characters long';
+    }
+
+    if (conversationId && typeof conversationId !== 'string') {
+        return 'Conversation ID must be a string';
+    }
+
+    return null;
+}
+
+/**
+ * Load the earlier turns of the conversation a follow-up belongs to
+ * @param {string} codebaseId
+ * @param {string} [conversationId] - Omit to start a new conversation
+ * @returns {Promise<{history: Array, error?: string}>}
+ */
+async function loadConversationHistory(codebaseId, conversationId) {
+    if (!conversationId) {
+        return { history: [] };
+    }
+
+    const conversation = await getConversation(conversationId);
+    if (!conversation || conversation.codebase_id !== codebaseId) {
+        return { history: [], error: 'Conversation not found for this codebase' };
+    }
+
+    return { history: await getConversationTurns(conversationId) };
+}
+
+/**
+ * Map workspace member labels to the path prefixes retrieval should use.
+ * No labels means the whole codebase.
+ * @param {string} codebaseId
+ * @param {Array<string>} [members] - Member labels to target
+ * @returns {Promise<{pathPrefixes: Array<string>|null, error?: string}>}
+ */
+async function resolveMemberPrefixes(codebaseId, members) {
+    if (!members || (Array.isArray(members) && members.length === 0)) {
+        return { pathPrefixes: null };
+    }
+
+    const labels = Array.isArray(members) ? members : [members];
+    const codebase = await getCodebase(codebaseId);
+    const known = (codebase && codebase.members) || [];
+
+    const unknown = labels.filter(label => !known.some(m => m.label === label));
+    if (unknown.length > 0) {
+        return { pathPrefixes: null, error: `Unknown workspace member(s): ${unknown.join(', ')}` };
+    }
+
+    return { pathPrefixes: known.filter(m => labels.includes(m.label)).map(m => m.prefix) };
+}
+
+/**
+ * Persist an answered question with its tags and prune history beyond
+ * HISTORY_RETENTION (pinned questions are kept).
+ * Starts a new conversation when the question is not a follow-up.
+ * @param {string} codebaseId
+ * @param {string} question
+ * @param {Array<string>} tags
+ * @param {{answer: string, mermaidCode: string, fileReferences: Array}} result
+ * @param {string} [conversationId]
+ * @returns {Promise<{questionId: string, conversationId: string}>}
+ */
+async function saveAnswer(codebaseId, question, tags, { answer, mermaidCode, fileReferences }, conversationId) {
+    if (conversationId) {
+        await touchConversation(conversationId);
+    } else {
+        conversationId = uuidv4();
+        await insertConversation(conversationId, codebaseId, question.trim().slice(0, 80));
+    }
+
+    const result = await insertQuestion(codebaseId, question, answer, fileReferences, mermaidCode, conversationId);
+    const questionId = result.lastInsertRowid;
+
+    // Add tags if provided
+    if (tags && Array.isArray(tags)) {
+        const tagNames = tags.filter(tag => typeof tag === 'string' && tag.trim()).map(tag => tag.trim());
+        if (tagNames.length > 0) {
+            await addTagsToQuestion(questionId, tagNames);
+        }
+    }
+
+    // Unpinned questions kept per codebase; 0 keeps the whole history
+    const retention = envInt('HISTORY_RETENTION', 0);
+    if (retention > 0) {
+        await deleteOldQuestions(codebaseId, retention);
+    }
+
+    return { questionId, conversationId };
+}
+
+/**
+ * Write one Server-Sent Event
+ * @param {import('express').Response} res
+ * @param {string} event
+ * @param {Object} data
+ */
+function sendEvent(res, event, data) {
+    // The client may have gone; the answer is still finished and saved
+    if (res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
 // Ask a question endpoint
 router.post('/ask', async (req, res) => {
     try {
-        const { codebaseId, question, tags } = req.body;
+        const { codebaseId, question, tags, conversationId, members } = req.body;
 
         // Validation
-        if (!codebaseId || !question) {
+        const validationError = validateQuestionRequest(req.body);
+        if (validationError) {
             return res.status(400).json({
                 success: false,
-                error: 'Codebase ID and question are required'
+                error: validationError
             });
         }
 
-        if (question.trim().length < 5) {
+        // Follow-ups carry the earlier turns of their conversation
+        const { history, error } = await loadConversationHistory(codebaseId, conversationId);
+        if (error) {
+            return res.status(404).json({
+                success: false,
+                error
+            });
+        }
+
+        // Workspaces can be asked about as a whole or about specific members
+        const scope = await resolveMemberPrefixes(codebaseId, members);
+        if (scope.error) {
             return res.status(400).json({
                 success: false,
-                error: 'Question must be at least 5 characters long'
+                error: scope.error
             });
         }
 
         // Get answer from AI service
-        const { answer, mermaidCode, fileReferences } = await answerQuestion(codebaseId, question);
+        const { answer, mermaidCode, fileReferences } = await answerQuestion(codebaseId, question, history, {
+            pathPrefixes: scope.pathPrefixes
+        });
 
         // Save question to database
-        const result = await insertQuestion(codebaseId, question, answer, fileReferences, mermaidCode);
-        const questionId = result.lastInsertRowid;
-
-        // Add tags if provided
-        if (tags && Array.isArray(tags)) {
-            for (const tag of tags) {
-                if (tag.trim()) {
-                    await addTagToQuestion(questionId, tag.trim());
-                }
-            }
-        }
-
-        // Keep only last 10 questions
-        await deleteOldQuestions(codebaseId, 10);
+        const saved = await saveAnswer(codebaseId, question, tags, { answer, mermaidCode, fileReferences }, conversationId);
 
         res.json({
             success: true,
-            questionId,
+            questionId: saved.questionId,
+            conversationId: saved.conversationId,
             answer,
             mermaidCode,
             fileReferences,
@@ -61,4 +193,85 @@ router.post('/ask', async (req, res) => {
     }
 });
 
+// Ask a question and stream progress over Server-Sent Events
+// Events: retrieval → token (repeated) → done, or error
+router.post('/ask/stream', async (req, res) => {
+    const { codebaseId, question, tags, conversationId, members } = req.body;
+
+    let history;
+    let pathPrefixes;
+    try {
+        const validationError = validateQuestionRequest(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+
+        const loaded = await loadConversationHistory(codebaseId, conversationId);
+        if (loaded.error) {
+            return res.status(404).json({
+                success: false,
+                error: loaded.error
+            });
+        }
+        history = loaded.history;
+
+        const scope = await resolveMemberPrefixes(codebaseId, members);
+        if (scope.error) {
+            return res.status(400).json({
+                success: false,
+                error: scope.error
+            });
+        }
+        pathPrefixes = scope.pathPrefixes;
+    } catch (error) {
+        console.error('Question stream error:', error);
+        return res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to load conversation'
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // A client that disconnects mid-answer does not stop it: the answer is
+    // still generated and saved, so it shows up in history
+    try {
+        const result = await streamAnswer(codebaseId, question, {
+            history,
+            pathPrefixes,
+            onRetrieval: files => sendEvent(res, 'retrieval', { files }),
+            onToken: text => sendEvent(res, 'token', { text })
+        });
+
+        const saved = await saveAnswer(codebaseId, question, tags, result, conversationId);
+
+        sendEvent(res, 'done', {
+            success: true,
+            questionId: saved.questionId,
+            conversationId: saved.conversationId,
+            answer: result.answer,
+            mermaidCode: result.mermaidCode,
+            fileReferences: result.fileReferences
+        });
+        res.end();
+
+    } catch (error) {
+        console.error('Question stream error:', error);
+        sendEvent(res, 'error', {
+            success: false,
+            error: error.message || 'Failed to answer question'
+        });
+        res.end();
+    }
+});
+
 export default router;
@@ -1,24 +1,133 @@
 import express from 'express';
-import { generateRefactorSuggestions } from '../services/aiService.js';
+import { v4 as uuidv4 } from 'uuid';
+import { generateRefactorSuggestions, reviewCodebaseFiles } from '../services/aiService.js';
+import { analyzeFiles } from '../services/staticAnalyzer.js';
+import { redactionEnabled } from '../services/securityScanner.js';
+import {
+    getCodebase,
+    getCodebaseFiles,
+    getCodeFilesByPaths,
+    insertRefactorReview
+} from '../models/database.js';
 
 const router = express.Router();
 
-// Generate refactor suggestions
+// Most files one codebase review covers
+const MAX_REVIEW_FILES = 50;
+
+/**
+ * Review stored files of a codebase and save the review. Static analysis runs
+ * first; its findings are returned and passed to the model.
+ * @param {Object} res
+ * @param {Object} body - codebaseId, paths (file paths) and/or dir, analysisOnly
+ */
+async function reviewCodebase(res, { codebaseId, paths, dir, analysisOnly }) {
+    if (paths !== undefined && (!Array.isArray(paths) || paths.some(p => typeof p !== 'string'))) {
+        return res.status(400).json({ success: false, error: 'paths must be an array of file paths' });
+    }
+    const requestedPaths = (paths || []).map(p => p.replace(/^\.?\/+/, ''));
+    const directory = typeof dir === 'string' ? dir.replace(/^\.?\/+|\/+$/g, '') : null;
+
+    if (requestedPaths.length === 0 && directory === null) {
+        return res.status(400).json({
+            success: false,
+            error: 'paths or dir is required to review a codebase'
+        });
+    }
+
+    const codebase = await getCodebase(codebaseId);
+    if (!codebase) {
+        return res.status(404).json({ success: false, error: 'Codebase not found' });
+    }
+
+    const files = requestedPaths.length > 0 ? await getCodeFilesByPaths(codebaseId, requestedPaths) : [];
+    const missingPaths = requestedPaths.filter(p => !files.some(file => file.file_path === p));
+
+    if (directory !== null) {
+        // Generated and vendored code is not worth reviewing unless asked for by path
+        const dirFiles = await getCodebaseFiles(codebaseId, directory ? [directory] : null);
+        files.push(...dirFiles.filter(file => !file.category && !files.some(f => f.file_path === file.file_path)));
+    }
+
+    if (files.length === 0) {
+        return res.status(404).json({
+            success: false,
+            error: 'No stored files match the requested paths or directory',
+            missingPaths
+        });
+    }
+    if (files.length > MAX_REVIEW_FILES) {
+        return res.status(400).json({
+            success: false,
+            error: `A review covers at most ${MAX_REVIEW_FILES} files (${files.length} selected); narrow the paths or directory`
+        });
+    }
+
+    files.sort((a, b) => a.file_path.localeCompare(b.file_path));
+    const mode = analysisOnly ? 'analysis' : 'full';
+    const { findings, summary: analysis } = analyzeFiles(files);
+    const { suggestions, batchCount, failedBatches } = analysisOnly
+        ? { suggestions: [], batchCount: 0, failedBatches: [] }
+        : await reviewCodebaseFiles(codebaseId, files, findings, { redact: redactionEnabled(codebase) });
+
+    const reviewId = uuidv4();
+    const filesReviewed = files.map(file => file.file_path);
+    await insertRefactorReview(reviewId, codebaseId, {
+        paths: requestedPaths,
+        dir: directory,
+        filesReviewed,
+        mode,
+        findings,
+        analysis,
+        suggestions,
+        batchCount,
+        failedBatches
+    });
+
+    res.json({
+        success: true,
+        reviewId,
+        codebaseId,
+        mode,
+        filesReviewed,
+        missingPaths,
+        findings,
+        analysis,
+        suggestions,
+        batchCount,
+        failedBatches
+    });
+}
+
+// Generate refactor suggestions for a pasted snippet (code + language), or
+// review stored files of a codebase (codebaseId + paths and/or dir).
+// analysisOnly: true returns the static analysis findings without calling the
+// LLM, so it works with no AI provider configured. redactSecrets overrides
+// REDACT_SECRETS for a snippet; codebase reviews follow the codebase's setting
 router.post('/', async (req, res) => {
     try {
-        const { code, language } = req.body;
+        const { code, language, codebaseId, analysisOnly, redactSecrets } = req.body;
+
+        if (codebaseId) {
+            return await reviewCodebase(res, req.body);
+        }
 
         if (!code || !language) {
             return res.status(400).json({
                 success: false,
-                error: 'Code and language are required'
+                error: 'Code and language, or a codebaseId, are required'
             });
         }
 
-        const suggestions = await generateRefactorSuggestions(code, language);
+        const { findings, summary: analysis } = analyzeFiles([{ file_path: 'snippet', content: code, language }]);
+        const redact = typeof redactSecrets === 'boolean' ? redactSecrets : redactionEnabled(null);
+        const suggestions = analysisOnly ? [] : await generateRefactorSuggestions(code, language, findings, { redact });
 
         res.json({
             success: true,
+            mode: analysisOnly ? 'analysis' : 'full',
+            findings,
+            analysis,
             suggestions
         });
 
@@ -0,0 +1,71 @@
+import express from 'express';
+import {
+    searchQuestions,
+    searchCodeFiles,
+    getCodebaseNames
+} from '../models/database.js';
+import { buildTextQuery, formatQuestionResults, formatFileResults } from '../services/textSearch.js';
+
+const router = express.Router();
+
+// Most results of each kind one request returns
+const MAX_RESULTS = 50;
+
+const SEARCH_TYPES = ['questions', 'code'];
+
+// Full-text search over Q&A history and stored code, ranked by relevance.
+// Query: q (required), codebaseIds (comma-separated; default every codebase),
+// types (questions, code or both), limit (results of each kind)
+router.get('/', async (req, res) => {
+    try {
+        const { q, limit } = req.query;
+        const types = req.query.types ? String(req.query.types).split(',').map(t => t.trim()) : SEARCH_TYPES;
+        const codebaseIds = req.query.codebaseIds
+            ? [...new Set(String(req.query.codebaseIds).split(',').map(id => id.trim()).filter(Boolean))]
+            : null;
+
+        if (!q) {
+            return res.status(400).json({ success: false, error: 'q is required' });
+        }
+        if (types.length === 0 || types.some(type => !SEARCH_TYPES.includes(type))) {
+            return res.status(400).json({ success: false, error: 'types must be questions, code or both' });
+        }
+
+        const { search, terms } = buildTextQuery(q);
+
+        const names = await getCodebaseNames(codebaseIds);
+        if (codebaseIds) {
+            const unknown = codebaseIds.filter(id => !names.has(id));
+            if (unknown.length > 0) {
+                return res.status(404).json({ success: false, error: `Codebase(s) not found: ${unknown.join(', ')}` });
+            }
+        }
+
+        const options = { codebaseIds, limit: Math.min(Math.max(1, parseInt(limit) || 20), MAX_RESULTS) };
+        const [questions, files] = await Promise.all([
+            types.includes('questions') ? searchQuestions(search, options) : [],
+            types.includes('code') ? searchCodeFiles(search, options) : []
+        ]);
+
+        const withName = result => ({ ...result, codebase_name: names.get(result.codebase_id) || null });
+
+        res.json({
+            success: true,
+            terms,
+            questions: formatQuestionResults(questions, terms).map(withName),
+            files: formatFileResults(files, terms).map(withName)
+        });
+
+    } catch (error) {
+        if (error.reason) {
+            return res.status(400).json({ success: false, error: error.message, reason: error.reason });
+        }
+        console.error('Full-text search error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Search failed'
+        });
+    }
+});
+
+export default router;
@@ -1,13 +1,22 @@
 import express from 'express';
 import multer from 'multer';
-import AdmZip from 'adm-zip';
 import { v4 as uuidv4 } from 'uuid';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
-import simpleGit from 'simple-git';
-import { insertCodebase, insertCodeFile, updateCodebaseStats } from '../models/database.js';
-import { processCodeFiles } from '../services/fileProcessor.js';
+import { getIngestionJob, getCodebase } from '../models/database.js';
+import { processCodeFiles, parseGlobList } from '../services/fileProcessor.js';
+import { startIngestionJob, storeCodebase, syncCodebaseFiles } from '../services/ingestionService.js';
+import { detectArchiveFormat, extractArchive } from '../services/archiveService.js';
+import {
+    parseGitHubUrl,
+    parseGitRemote,
+    describeGitError,
+    resolveTreePath,
+    cloneRepository,
+    resolveSubdirectory,
+    normalizeSubPath
+} from '../services/gitService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -29,6 +38,106 @@ function safeRmDir(dirPath) {
     }
 }
 
+/**
+ * Request-level include/exclude globs (JSON body or multipart fields)
+ * @param {Object} body
+ * @returns {{include: Array<string>, exclude: Array<string>}}
+ */
+function getFileFilters(body = {}) {
+    return {
+        include: parseGlobList(body.include),
+        exclude: parseGlobList(body.exclude)
+    };
+}
+
+/**
+ * Work out which ref and subdirectory to ingest. Explicit request fields win
+ * over whatever a GitHub tree URL says.
+ * @param {{repoUrl: string, treePath: string|null}} parsed - From parseGitHubUrl
+ * @param {string} [requestedRef]
+ * @param {string} [requestedPath]
+ * @returns {Promise<{ref: string|null, subPath: string|null}>}
+ */
+async function resolveCheckoutTarget(parsed, requestedRef, requestedPath) {
+    let ref = requestedRef ? String(requestedRef).trim() : null;
+    let subPath = normalizeSubPath(requestedPath);
+
+    if (parsed.treePath && (!ref || !subPath)) {
+        const fromUrl = await resolveTreePath(parsed.repoUrl, parsed.treePath);
+        ref = ref || fromUrl.ref;
+        subPath = subPath || fromUrl.subPath;
+    }
+
+    return { ref, subPath };
+}
+
+/**
+ * Resolve the checkout target and clone it, turning git failures into
+ * messages a user can act on
+ * @param {{repoUrl: string, treePath?: string|null}} parsed - From parseGitHubUrl or parseGitRemote
+ * @param {string} clonePath
+ * @param {string} [requestedRef]
+ * @param {string} [requestedPath]
+ * @param {Object} progress - Reporter from startIngestionJob
+ * @returns {Promise<{ref: string|null, subPath: string|null, cloned: {commitSha: string, refType: string|null}}>}
+ */
+async function checkoutRepository(parsed, clonePath, requestedRef, requestedPath, progress) {
+    try {
+        await progress.phase('resolving');
+        const { ref, subPath } = await resolveCheckoutTarget(parsed, requestedRef, requestedPath);
+
+        await progress.phase('cloning');
+        const cloned = await cloneRepository(parsed.repoUrl, clonePath, { ref });
+        return { ref, subPath, cloned };
+    } catch (error) {
+        throw describeGitError(error);
+    }
+}
+
+/**
+ * Clone a repository and store it as a new codebase
+ * @param {Object} options
+ * @param {string} options.codebaseId
+ * @param {Object} options.parsed - From parseGitHubUrl or parseGitRemote
+ * @param {string} options.repoName - Display name before ref/subdirectory
+ * @param {string} options.source - 'github' or 'git'
+ * @param {string} options.clonePath
+ * @param {string} [options.requestedRef]
+ * @param {string} [options.requestedPath]
+ * @param {Object} options.filters - From getFileFilters
+ * @param {Object} progress - Reporter from startIngestionJob
+ * @returns {Promise<Object>} - Stored codebase summary with the file report
+ */
+async function ingestRepository({ codebaseId, parsed, repoName, source, clonePath, requestedRef, requestedPath, filters }, progress) {
+    const { ref, subPath, cloned } = await checkoutRepository(parsed, clonePath, requestedRef, requestedPath, progress);
+
+    // Process code files
+    await progress.phase('scanning');
+    const { files, totalSize, report } = await processCodeFiles(resolveSubdirectory(clonePath, subPath), filters);
+
+    const name = [repoName, ref && `@${ref}`, subPath && ` (${subPath})`].filter(Boolean).join('');
+
+    const stored = await storeCodebase({
+        codebaseId,
+        name,
+        source,
+        files,
+        totalSize,
+        details: {
+            repo_url: parsed.repoUrl,
+            ref,
+            ref_type: cloned.refType,
+            subdirectory: subPath,
+            commit_sha: cloned.commitSha,
+            synced_at: new Date(),
+            include_globs: filters.include,
+            exclude_globs: filters.exclude
+        }
+    }, progress);
+
+    return { ...stored, report };
+}
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
@@ -41,24 +150,19 @@ const storage = multer.diskStorage({
     }
 });
 
+// No fileFilter: archive type is checked from the file contents once stored
 const upload = multer({
     storage,
     limits: {
         fileSize: parseInt(process.env.MAX_FILE_SIZE) || 52428800 // 50MB
-    },
-    fileFilter: (req, file, cb) => {
-        if (file.mimetype === 'application/zip' ||
-            file.mimetype === 'application/x-zip-compressed' ||
-            file.originalname.endsWith('.zip')) {
-            cb(null, true);
-        } else {
-            cb(new Error('Only ZIP files are allowed'));
-        }
     }
 });
 
-// Upload ZIP file endpoint
-router.post('/zip', upload.single('file'), async (req, res) => {
+const UNSUPPORTED_ARCHIVE_ERROR = 'Unsupported archive format. Upload a ZIP, tar, tar.gz or tgz file.';
+
+// Upload archive endpoint (ZIP, tar, tar.gz/tgz) — extraction and ingestion
+// run as a background job. /zip is kept as an alias for existing clients.
+router.post(['/archive', '/zip'], upload.single('file'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({
@@ -67,50 +171,58 @@ router.post('/zip', upload.single('file'), async (req, res) => {
             });
         }
 
-        const codebaseId = uuidv4();
-        const zipPath = req.file.path;
-        const extractPath = path.join(__dirname, '../../uploads', codebaseId);
-
-        // Extract ZIP file
-        try {
-            const zip = new AdmZip(zipPath);
-            zip.extractAllTo(extractPath, true);
-        } catch (error) {
-            fs.unlinkSync(zipPath);
+        const format = await detectArchiveFormat(req.file.path);
+        if (!format) {
+            fs.unlinkSync(req.file.path);
             return res.status(400).json({
                 success: false,
-                error: 'Failed to extract ZIP file. File may be corrupted.'
+                error: UNSUPPORTED_ARCHIVE_ERROR
             });
         }
 
-        // Process code files
-        const { files, totalSize } = await processCodeFiles(extractPath);
-
-        // Save to database
-        await insertCodebase(codebaseId, req.file.originalname, 'upload');
+        const codebaseId = uuidv4();
+        const archivePath = req.file.path;
+        const name = req.file.originalname;
+        const extractPath = path.join(__dirname, '../../uploads', codebaseId);
+        const filters = getFileFilters(req.body);
 
-        for (const file of files) {
-            await insertCodeFile(
-                codebaseId,
-                file.relativePath,
-                file.content,
-                file.language,
-                file.size
-            );
-        }
+        const jobId = await startIngestionJob(format === 'zip' ? 'zip' : 'tar', codebaseId, async (progress) => {
+            // Extract archive
+            await progress.phase('extracting');
+            const archive = await extractArchive(archivePath, extractPath, format);
 
-        await updateCodebaseStats(codebaseId, files.length, totalSize);
+            // Process code files
+            await progress.phase('scanning');
+            const { files, totalSize, report } = await processCodeFiles(extractPath, filters);
 
-        // Clean up ZIP file
-        fs.unlinkSync(zipPath);
+            const stored = await storeCodebase({
+                codebaseId,
+                name,
+                source: 'upload',
+                files,
+                totalSize,
+                details: { include_globs: filters.include, exclude_globs: filters.exclude }
+            }, progress);
+
+            return { ...stored, report: { ...report, archive } };
+        }, {
+            cleanup: () => {
+                // Clean up uploaded archive and its extracted copy
+                if (fs.existsSync(archivePath)) {
+                    fs.unlinkSync(archivePath);
+                }
+                safeRmDir(extractPath);
+            }
+        });
 
-        res.json({
+        res.status(202).json({
             success: true,
+            jobId,
             codebaseId,
-            name: req.file.originalname,
-            fileCount: files.length,
-            totalSize,
-            message: 'Codebase uploaded successfully'
+            name,
+            format,
+            status: 'queued',
+            message: 'Upload received, ingestion started'
         });
 
     } catch (error) {
@@ -128,10 +240,12 @@ router.post('/zip', upload.single('file'), async (req, res) => {
     }
 });
 
-// GitHub repository endpoint
+// GitHub repository endpoint — cloning and ingestion run as a background job.
+// Accepts an optional branch/tag/commit `ref` and subdirectory `path`, or a
+// GitHub tree URL (https://github.com/owner/repo/tree/<ref>/<path>) carrying both.
 router.post('/github', async (req, res) => {
     try {
-        const { repoUrl } = req.body;
+        const { repoUrl, ref: requestedRef, path: requestedPath } = req.body;
 
         if (!repoUrl) {
             return res.status(400).json({
@@ -141,8 +255,8 @@ router.post('/github', async (req, res) => {
         }
 
         // Validate GitHub URL
-        const githubRegex = /^https?:\/\/(www\.)?github\.com\/[\w-]+\/[\w.-]+\/?$/;
-        if (!githubRegex.test(repoUrl)) {
+        const parsed = parseGitHubUrl(repoUrl);
+        if (!parsed) {
             return res.status(400).json({
                 success: false,
                 error: 'Invalid GitHub repository URL'
@@ -151,51 +265,83 @@ router.post('/github', async (req, res) => {
 
         const codebaseId = uuidv4();
         const clonePath = path.join(__dirname, '../../uploads', codebaseId);
+        const repoName = parsed.repo;
+        const filters = getFileFilters(req.body);
+
+        const jobId = await startIngestionJob('github', codebaseId, (progress) =>
+            ingestRepository({
+                codebaseId,
+                parsed,
+                repoName,
+                source: 'github',
+                clonePath,
+                requestedRef,
+                requestedPath,
+                filters
+            }, progress), { cleanup: () => safeRmDir(clonePath) });
+
+        res.status(202).json({
+            success: true,
+            jobId,
+            codebaseId,
+            name: repoName,
+            status: 'queued',
+            message: 'Repository clone started'
+        });
 
-        // Clone repository
-        const git = simpleGit();
+    } catch (error) {
+        console.error('GitHub clone error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to clone repository'
+        });
+    }
+});
+
+// Any git remote — https (GitLab, Gitea, self-hosted), ssh with a configured
+// deploy key, or a file:// path on GIT_FILE_ALLOWLIST. Same options as /github.
+router.post('/git', async (req, res) => {
+    try {
+        const { repoUrl, ref: requestedRef, path: requestedPath } = req.body;
 
+        let parsed;
         try {
-            await git.clone(repoUrl, clonePath, ['--depth', '1']);
+            parsed = parseGitRemote(repoUrl);
         } catch (error) {
             return res.status(400).json({
                 success: false,
-                error: 'Failed to clone repository. It may be private or not exist.'
+                error: error.message
             });
         }
 
-        // Process code files
-        const { files, totalSize } = await processCodeFiles(clonePath);
-
-        // Extract repo name from URL
-        const repoName = repoUrl.split('/').pop().replace('.git', '');
-
-        // Save to database
-        await insertCodebase(codebaseId, repoName, 'github');
+        const codebaseId = uuidv4();
+        const clonePath = path.join(__dirname, '../../uploads', codebaseId);
+        const repoName = req.body.name ? String(req.body.name).trim() : parsed.name;
+        const filters = getFileFilters(req.body);
 
-        for (const file of files) {
-            await insertCodeFile(
+        const jobId = await startIngestionJob('git', codebaseId, (progress) =>
+            ingestRepository({
                 codebaseId,
-                file.relativePath,
-                file.content,
-                file.language,
-                file.size
-            );
-        }
-
-        await updateCodebaseStats(codebaseId, files.length, totalSize);
-
-        res.json({
+                parsed,
+                repoName,
+                source: 'git',
+                clonePath,
+                requestedRef,
+                requestedPath,
+                filters
+            }, progress), { cleanup: () => safeRmDir(clonePath) });
+
+        res.status(202).json({
             success: true,
+            jobId,
             codebaseId,
             name: repoName,
-            fileCount: files.length,
-            totalSize,
-            message: 'GitHub repository cloned successfully'
+            status: 'queued',
+            message: 'Repository clone started'
         });
 
     } catch (error) {
-        console.error('GitHub clone error:', error);
+        console.error('Git clone error:', error);
         res.status(500).json({
             success: false,
             error: error.message || 'Failed to clone repository'
@@ -203,118 +349,399 @@ router.post('/github', async (req, res) => {
     }
 });
 
-// Split GitHub repository endpoint (frontend + backend as one codebase)
-router.post('/github-split', async (req, res) => {
-    const { frontendUrl, backendUrl } = req.body;
+// Re-sync a cloned codebase with the latest commit, updating only changed files.
+// Registered under both /github and /git; either works for either source.
+router.post(['/github/:codebaseId/refresh', '/git/:codebaseId/refresh'], async (req, res) => {
+    try {
+        const { codebaseId } = req.params;
+        const codebase = await getCodebase(codebaseId);
 
-    if (!frontendUrl || !backendUrl) {
-        return res.status(400).json({
+        if (!codebase) {
+            return res.status(404).json({ success: false, error: 'Codebase not found' });
+        }
+
+        if (!['github', 'git'].includes(codebase.source) || !codebase.repo_url) {
+            return res.status(400).json({
+                success: false,
+                error: 'Only codebases ingested from a git repository can be refreshed'
+            });
+        }
+
+        const clonePath = path.join(__dirname, '../../uploads', `${codebaseId}-refresh-${uuidv4()}`);
+
+        const jobId = await startIngestionJob(`${codebase.source}-refresh`, codebaseId, async (progress) => {
+            // Re-clone the same ref the codebase was ingested from (default branch if none)
+            await progress.phase('cloning');
+            let commitSha;
+            try {
+                ({ commitSha } = await cloneRepository(codebase.repo_url, clonePath, {
+                    ref: codebase.ref,
+                    refType: codebase.ref_type
+                }));
+            } catch (error) {
+                throw describeGitError(error);
+            }
+
+            // Nothing to do when the repository has not moved
+            if (commitSha === codebase.commit_sha) {
+                return {
+                    codebaseId,
+                    name: codebase.name,
+                    commitSha,
+                    previousCommitSha: commitSha,
+                    fileCount: codebase.file_count,
+                    totalSize: codebase.total_size,
+                    added: 0,
+                    changed: 0,
+                    deleted: 0,
+                    unchanged: codebase.file_count
+                };
+            }
+
+            await progress.phase('scanning');
+            // Apply the same include/exclude globs the codebase was ingested with
+            const { files, totalSize, report } = await processCodeFiles(resolveSubdirectory(clonePath, codebase.subdirectory), {
+                include: codebase.include_globs,
+                exclude: codebase.exclude_globs
+            });
+
+            const synced = await syncCodebaseFiles(codebase, files, totalSize, commitSha, progress);
+            return { ...synced, report };
+        }, { cleanup: () => safeRmDir(clonePath), keepCodebaseOnFailure: true });
+
+        res.status(202).json({
+            success: true,
+            jobId,
+            codebaseId,
+            status: 'queued',
+            message: 'Repository refresh started'
+        });
+
+    } catch (error) {
+        console.error('Repository refresh error:', error);
+        res.status(500).json({
             success: false,
-            error: 'Both frontendUrl and backendUrl are required'
+            error: error.message || 'Failed to refresh repository'
         });
     }
+});
 
-    const githubRegex = /^https?:\/\/(www\.)?github\.com\/[\w-]+\/[\w.-]+\/?$/;
-    if (!githubRegex.test(frontendUrl)) {
-        return res.status(400).json({ success: false, error: 'Invalid frontend GitHub URL' });
+// Upper bound on repositories/archives in one workspace
+const MAX_WORKSPACE_MEMBERS = 20;
+
+/**
+ * Validate workspace members from a request body. Each member is a git
+ * repository (`repoUrl`, optional `ref`/`path`) or an uploaded archive
+ * (`archive` = its original file name), with a unique `label` and path `prefix`.
+ * @param {Array|string} rawMembers - Array, or a JSON string for multipart requests
+ * @param {Array} [uploadedFiles] - multer files for archive members
+ * @returns {{members?: Array, error?: string}}
+ */
+function parseWorkspaceMembers(rawMembers, uploadedFiles = []) {
+    let list = rawMembers;
+    if (typeof list === 'string') {
+        try {
+            list = JSON.parse(list);
+        } catch {
+            return { error: 'members must be a JSON array' };
+        }
     }
-    if (!githubRegex.test(backendUrl)) {
-        return res.status(400).json({ success: false, error: 'Invalid backend GitHub URL' });
+
+    if (!Array.isArray(list) || list.length === 0) {
+        return { error: 'At least one workspace member is required' };
+    }
+    if (list.length > MAX_WORKSPACE_MEMBERS) {
+        return { error: `A workspace can have at most ${MAX_WORKSPACE_MEMBERS} members` };
     }
 
-    const codebaseId = uuidv4();
-    const basePath = path.join(__dirname, '../../uploads', codebaseId);
-    const frontendPath = path.join(basePath, 'frontend');
-    const backendPath = path.join(basePath, 'backend');
+    const members = [];
+    for (const [index, raw] of list.entries()) {
+        const label = String(raw?.label || '').trim();
+        if (!label) {
+            return { error: `Member ${index + 1} needs a label` };
+        }
+        if (members.some(m => m.label === label)) {
+            return { error: `Duplicate member label "${label}"` };
+        }
 
-    // Ensure the base directory exists before cloning into sub-directories
-    try {
-        fs.mkdirSync(basePath, { recursive: true });
-    } catch (err) {
-        return res.status(500).json({ success: false, error: `Could not create temp directory: ${err.message}` });
+        const prefix = normalizeSubPath(raw.prefix ?? label.toLowerCase().replace(/[^\w.-]+/g, '-'));
+        if (!prefix || prefix.split('/').includes('..')) {
+            return { error: `Invalid prefix for member "${label}"` };
+        }
+        const clash = members.find(m =>
+            m.prefix === prefix || m.prefix.startsWith(`${prefix}/`) || prefix.startsWith(`${m.prefix}/`)
+        );
+        if (clash) {
+            return { error: `Prefix "${prefix}" of "${label}" overlaps with "${clash.label}"` };
+        }
+
+        const member = {
+            label,
+            prefix,
+            ref: raw.ref ? String(raw.ref).trim() : null,
+            path: raw.path || null,
+            filters: getFileFilters(raw)
+        };
+
+        if (raw.repoUrl) {
+            member.parsed = parseGitHubUrl(raw.repoUrl);
+            member.source = 'github';
+            if (!member.parsed) {
+                try {
+                    member.parsed = parseGitRemote(raw.repoUrl);
+                    member.source = 'git';
+                } catch (error) {
+                    return { error: `Invalid repository URL for member "${label}": ${error.message}` };
+                }
+            }
+        } else if (raw.archive) {
+            const file = uploadedFiles.find(f => f.originalname === raw.archive);
+            if (!file) {
+                return { error: `Archive "${raw.archive}" for member "${label}" was not uploaded` };
+            }
+            member.source = 'upload';
+            member.archivePath = file.path;
+        } else {
+            return { error: `Member "${label}" needs a repoUrl or an archive` };
+        }
+
+        members.push(member);
     }
 
-    // Clone both repos in parallel using SEPARATE git instances
+    return { members };
+}
+
+/**
+ * Clone or extract every workspace member, then store all of their files
+ * as one codebase with each member's files under its prefix
+ * @param {Object} options
+ * @param {string} options.codebaseId
+ * @param {string} options.basePath - Scratch directory for checkouts
+ * @param {string} options.name
+ * @param {string} options.source - 'workspace' or 'github-split'
+ * @param {Array} options.members - From parseWorkspaceMembers
+ * @param {Object} progress - Reporter from startIngestionJob
+ * @returns {Promise<Object>} - Stored codebase summary with per-member counts
+ */
+async function ingestWorkspace({ codebaseId, basePath, name, source, members }, progress) {
+    // Ensure the base directory exists before cloning into sub-directories
+    fs.mkdirSync(basePath, { recursive: true });
+
+    // Clone all repos in parallel using SEPARATE git instances
     // (a single simpleGit instance cannot run concurrent operations)
+    await progress.phase('cloning');
+    const checkouts = await Promise.all(members.map(async (member, index) => {
+        const memberPath = path.join(basePath, String(index));
+
+        if (member.source === 'upload') {
+            try {
+                const archive = await extractArchive(member.archivePath, memberPath, member.archiveFormat);
+                return { rootPath: memberPath, subPath: normalizeSubPath(member.path), ref: null, cloned: {}, archive };
+            } catch (error) {
+                // Keep error.reason for the job record
+                error.message = `Archive of "${member.label}" was rejected: ${error.message}`;
+                throw error;
+            }
+        }
+
+        try {
+            const { ref, subPath } = await resolveCheckoutTarget(member.parsed, member.ref, member.path);
+            const cloned = await cloneRepository(member.parsed.repoUrl, memberPath, { ref });
+            return { rootPath: memberPath, subPath, ref, cloned };
+        } catch (error) {
+            throw new Error(`Clone of "${member.label}" failed: ${describeGitError(error).message}`);
+        }
+    }));
+
+    // Process each member separately and prefix paths
+    await progress.phase('scanning');
+    const allFiles = [];
+    const memberResults = [];
+    let totalSize = 0;
+
+    for (const [index, member] of members.entries()) {
+        const checkout = checkouts[index];
+        const result = await processCodeFiles(resolveSubdirectory(checkout.rootPath, checkout.subPath), member.filters);
+
+        allFiles.push(...result.files.map(f => ({
+            ...f,
+            relativePath: `${member.prefix}/${f.relativePath}`,
+        })));
+        totalSize += result.totalSize;
+
+        memberResults.push({
+            label: member.label,
+            prefix: member.prefix,
+            source: member.source,
+            repo_url: member.parsed ? member.parsed.repoUrl : null,
+            ref: checkout.ref,
+            ref_type: checkout.cloned.refType || null,
+            subdirectory: checkout.subPath,
+            commit_sha: checkout.cloned.commitSha || null,
+            file_count: result.files.length,
+            total_size: result.totalSize,
+            report: checkout.archive ? { ...result.report, archive: checkout.archive } : result.report
+        });
+    }
+
+    if (allFiles.length === 0) {
+        throw new Error('No processable code files found in any workspace member. Make sure the repos are not empty and contain supported code files.');
+    }
+
+    const stored = await storeCodebase({
+        codebaseId,
+        name,
+        source,
+        files: allFiles,
+        totalSize,
+        details: {
+            members: memberResults.map(({ report, ...member }) => member)
+        }
+    }, progress);
+
+    return {
+        ...stored,
+        members: memberResults.map(member => ({
+            label: member.label,
+            prefix: member.prefix,
+            fileCount: member.file_count,
+            totalSize: member.total_size,
+            commitSha: member.commit_sha,
+            report: member.report
+        }))
+    };
+}
+
+/**
+ * Remove uploaded archives once they are no longer needed
+ * @param {Array} files - multer files
+ */
+function removeUploadedFiles(files = []) {
+    for (const file of files) {
+        if (fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+        }
+    }
+}
+
+// Workspace endpoint — any number of git repos and/or archive uploads ingested
+// as one codebase, each under its own label and path prefix.
+// JSON body: { name?, members: [{ label, prefix?, repoUrl?, ref?, path?, include?, exclude? }] }
+// Multipart: `members` as a JSON string, archives in `archives` referenced by `archive` file name
+router.post('/workspace', upload.array('archives', MAX_WORKSPACE_MEMBERS), async (req, res) => {
+    const uploadedFiles = req.files || [];
+
     try {
-        await Promise.all([
-            simpleGit().clone(frontendUrl, frontendPath, ['--depth', '1']).catch(err => {
-                throw new Error(`Frontend clone failed: ${err.message}`);
-            }),
-            simpleGit().clone(backendUrl, backendPath, ['--depth', '1']).catch(err => {
-                throw new Error(`Backend clone failed: ${err.message}`);
-            }),
-        ]);
+        const { members, error } = parseWorkspaceMembers(req.body.members, uploadedFiles);
+        if (error) {
+            removeUploadedFiles(uploadedFiles);
+            return res.status(400).json({ success: false, error });
+        }
+
+        for (const member of members.filter(m => m.archivePath)) {
+            member.archiveFormat = await detectArchiveFormat(member.archivePath);
+            if (!member.archiveFormat) {
+                removeUploadedFiles(uploadedFiles);
+                return res.status(400).json({
+                    success: false,
+                    error: `Archive for member "${member.label}": ${UNSUPPORTED_ARCHIVE_ERROR}`
+                });
+            }
+        }
+
+        const codebaseId = uuidv4();
+        const basePath = path.join(__dirname, '../../uploads', codebaseId);
+        const name = (req.body.name && String(req.body.name).trim()) || `${members.map(m => m.label).join(' + ')} (workspace)`;
+
+        const jobId = await startIngestionJob('workspace', codebaseId, (progress) =>
+            ingestWorkspace({ codebaseId, basePath, name, source: 'workspace', members }, progress), {
+            cleanup: () => {
+                safeRmDir(basePath);
+                removeUploadedFiles(uploadedFiles);
+            }
+        });
+
+        res.status(202).json({
+            success: true,
+            jobId,
+            codebaseId,
+            name,
+            members: members.map(m => ({ label: m.label, prefix: m.prefix, source: m.source })),
+            status: 'queued',
+            message: 'Workspace ingestion started'
+        });
+
     } catch (error) {
-        console.error('GitHub split clone error:', error.message);
-        safeRmDir(basePath);
-        return res.status(400).json({
+        console.error('Workspace error:', error);
+        removeUploadedFiles(uploadedFiles);
+        res.status(500).json({
             success: false,
-            error: error.message || 'Failed to clone one or both repositories. They may be private or not exist.'
+            error: error.message || 'Failed to ingest workspace'
         });
     }
+});
 
-    try {
-        // Process each repo separately and prefix paths
-        const [frontendResult, backendResult] = await Promise.all([
-            processCodeFiles(frontendPath),
-            processCodeFiles(backendPath),
-        ]);
+// Split GitHub repository endpoint (frontend + backend as one codebase) —
+// a two-member workspace kept for existing clients
+router.post('/github-split', async (req, res) => {
+    const { frontendUrl, backendUrl } = req.body;
+    const filters = getFileFilters(req.body);
 
-        const prefixedFrontend = frontendResult.files.map(f => ({
-            ...f,
-            relativePath: `frontend/${f.relativePath}`,
-        }));
-        const prefixedBackend = backendResult.files.map(f => ({
-            ...f,
-            relativePath: `backend/${f.relativePath}`,
-        }));
+    if (!frontendUrl || !backendUrl) {
+        return res.status(400).json({
+            success: false,
+            error: 'Both frontendUrl and backendUrl are required'
+        });
+    }
 
-        const allFiles = [...prefixedFrontend, ...prefixedBackend];
-        const totalSize = frontendResult.totalSize + backendResult.totalSize;
+    if (!parseGitHubUrl(frontendUrl)) {
+        return res.status(400).json({ success: false, error: 'Invalid frontend GitHub URL' });
+    }
+    if (!parseGitHubUrl(backendUrl)) {
+        return res.status(400).json({ success: false, error: 'Invalid backend GitHub URL' });
+    }
 
-        if (allFiles.length === 0) {
-            safeRmDir(basePath);
-            return res.status(400).json({
-                success: false,
-                error: 'No processable code files found in either repository. Make sure the repos are not empty and contain supported code files.'
-            });
-        }
+    const { members } = parseWorkspaceMembers([
+        { label: 'frontend', prefix: 'frontend', repoUrl: frontendUrl, ...filters },
+        { label: 'backend', prefix: 'backend', repoUrl: backendUrl, ...filters }
+    ]);
 
-        // Derive a combined project name from the two repo names
-        const feName = frontendUrl.split('/').pop().replace('.git', '');
-        const beName = backendUrl.split('/').pop().replace('.git', '');
-        const combinedName = `${feName} + ${beName} (split)`;
+    const codebaseId = uuidv4();
+    const basePath = path.join(__dirname, '../../uploads', codebaseId);
 
-        // Save to database
-        await insertCodebase(codebaseId, combinedName, 'github-split');
+    // Derive a combined project name from the two repo names
+    const feName = parseGitHubUrl(frontendUrl).repo;
+    const beName = parseGitHubUrl(backendUrl).repo;
+    const combinedName = `${feName} + ${beName} (split)`;
 
-        for (const file of allFiles) {
-            await insertCodeFile(
+    try {
+        const jobId = await startIngestionJob('github-split', codebaseId, async (progress) => {
+            const result = await ingestWorkspace({
                 codebaseId,
-                file.relativePath,
-                file.content,
-                file.language,
-                file.size
-            );
-        }
-
-        await updateCodebaseStats(codebaseId, allFiles.length, totalSize);
-
-        res.json({
+                basePath,
+                name: combinedName,
+                source: 'github-split',
+                members
+            }, progress);
+
+            return {
+                ...result,
+                frontendFileCount: result.members[0].fileCount,
+                backendFileCount: result.members[1].fileCount
+            };
+        }, { cleanup: () => safeRmDir(basePath) });
+
+        res.status(202).json({
             success: true,
+            jobId,
             codebaseId,
             name: combinedName,
-            fileCount: allFiles.length,
-            frontendFileCount: prefixedFrontend.length,
-            backendFileCount: prefixedBackend.length,
-            totalSize,
-            message: 'Both repositories scanned and merged successfully',
+            status: 'queued',
+            message: 'Repository clones started'
         });
 
     } catch (error) {
         console.error('GitHub split processing error:', error);
-        safeRmDir(basePath);
         res.status(500).json({
             success: false,
             error: error.message || 'Failed to process repositories',
@@ -322,5 +749,20 @@ router.post('/github-split', async (req, res) => {
     }
 });
 
-export default router;
+// Poll an ingestion job for status, phase and progress
+router.get('/jobs/:jobId', async (req, res) => {
+    try {
+        const job = await getIngestionJob(req.params.jobId);
+
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
 
+        res.json({ success: true, job });
+    } catch (error) {
+        console.error('Job status error:', error);
+        res.status(500).json({ success: false, error: error.message || 'Failed to fetch job' });
+    }
+});
+
+export default router;
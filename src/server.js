@@ -36,6 +36,8 @@ import questionRouter from './routes/question.js';
 import historyRouter from './routes/history.js';
 import refactorRouter from './routes/refactor.js';
 import healthRouter from './routes/health.js';
+import codebaseRouter from './routes/codebase.js';
+import searchRouter from './routes/search.js';
 
 // Routes
 app.use('/api/upload', uploadRouter);
@@ -43,6 +45,8 @@ app.use('/api/question', questionRouter);
 app.use('/api/history', historyRouter);
 app.use('/api/refactor', refactorRouter);
 app.use('/api/health', healthRouter);
+app.use('/api/codebase', codebaseRouter);
+app.use('/api/search', searchRouter);
 
 // Root route
 app.get('/', (req, res) => {
@@ -50,11 +54,25 @@ app.get('/', (req, res) => {
     message: 'Aggrosso API is running!',
     version: '1.0.0',
     endpoints: {
-      upload: '/api/upload/zip or /api/upload/github',
+      upload: '/api/upload/archive, /api/upload/github or /api/upload/git',
+      uploadWorkspace: '/api/upload/workspace',
+      uploadJob: '/api/upload/jobs/:jobId',
       question: '/api/question/ask',
+      questionStream: '/api/question/ask/stream',
       history: '/api/history/:codebaseId',
+      historyQuestion: '/api/history/questions/:questionId (tags, pin)',
+      reviews: '/api/history/:codebaseId/reviews',
+      reviewPatch: '/api/history/reviews/:reviewId/patch',
       refactor: '/api/refactor',
-      health: '/api/health'
+      health: '/api/health',
+      overview: '/api/codebase/:codebaseId/overview',
+      files: '/api/codebase/:codebaseId/tree, /api/codebase/:codebaseId/file',
+      search: '/api/codebase/:codebaseId/search',
+      fullTextSearch: '/api/search',
+      symbols: '/api/codebase/:codebaseId/symbols',
+      moduleGraph: '/api/codebase/:codebaseId/graph',
+      security: '/api/codebase/:codebaseId/security',
+      redaction: '/api/codebase/:codebaseId/redaction'
     }
   });
 });
@@ -1,58 +1,17 @@
-import OpenAI from 'openai';
-import { getCodebaseFiles } from '../models/database.js';
+import { getCodebase, getCodebaseFiles, getCodeFilesByPaths, findSymbolsByNames } from '../models/database.js';
+import { retrieveRelevantChunks, LOW_PRIORITY_WEIGHT } from './retrievalService.js';
+import { verifyReferences } from './referenceValidator.js';
+import { getLLMProvider } from './llmProvider.js';
+import { validateSuggestionPatch } from './patchService.js';
+import { formatFindings } from './staticAnalyzer.js';
+import { redactSecrets, redactionEnabled } from './securityScanner.js';
 
-// Lazy initialization of OpenAI client
-let openaiClient = null;
-
-function getOpenAIClient() {
-    if (!openaiClient) {
-        if (!process.env.OPENAI_API_KEY) {
-            throw new Error('OPENAI_API_KEY is not set in environment variables. Please add it to your .env file.');
-        }
-        openaiClient = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
-    }
-    return openaiClient;
-}
-
-/**
- * Answer a question about a codebase using RAG
- * @param {string} codebaseId - ID of the codebase
- * @param {string} question - User's question
- * @returns {Promise<{answer: string, fileReferences: Array}>}
- */
-export async function answerQuestion(codebaseId, question) {
-    try {
-        // Get all files from the codebase
-        const files = await getCodebaseFiles(codebaseId);
-
-        if (files.length === 0) {
-            throw new Error('No files found in codebase');
-        }
-
-        // Find relevant files using simple keyword matching
-        // In a production app, you'd use vector embeddings for better retrieval
-        const relevantFiles = findRelevantFiles(files, question);
-
-        // Build context from relevant files
-        const context = buildContext(relevantFiles);
-
-        // Create prompt for GPT-4
-        const prompt = createPrompt(question, context);
-
-        // Call OpenAI API
-        const openai = getOpenAIClient();
-        const response = await openai.chat.completions.create({
-            model: 'gpt-4-turbo-preview',
-            messages: [
-                {
-                    role: 'system',
-                    content: `You are a code analysis assistant. Answer questions about codebases with precision.
+// System prompt for codebase Q&A
+const QA_SYSTEM_PROMPT = `You are a code analysis assistant. Answer questions about codebases with precision.
 
 When answering:
 1. Provide the exact file paths where relevant code is located
-2. Specify line numbers when possible (estimate based on code structure)
+2. Cite line numbers exactly as shown in the left margin of the provided code (never estimate)
 3. Include brief code snippets to support your answer
 4. Be concise but thorough
 5. ALWAYS generate a valid Mermaid.js diagram in the 'mermaidCode' field to visually represent the answer.
@@ -74,29 +33,89 @@ Format your response as JSON with this structure:
       "file": "path/to/file.js",
       "lineStart": 10,
       "lineEnd": 25,
-      "snippet": "relevant code snippet",
+      "snippet": "relevant code copied verbatim from the file, without line-number prefixes",
       "explanation": "why this code is relevant"
     }
   ]
-}`
-                },
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
-            temperature: 0.3,
-            max_tokens: 4000,
-            response_format: { type: "json_object" }
-        });
+}`;
+
+// Earlier turns of a conversation sent back to the model on follow-ups
+const MAX_HISTORY_TURNS = 6;
+
+// Code ranges cited in earlier turns that are re-sent as context
+const MAX_CITED_RANGES = 8;
+
+// Definitions of symbols named in the question that are sent as context
+const MAX_SYMBOL_DEFINITIONS = 4;
+
+// Longest definition sent in full; longer ones are cut to their start
+const MAX_DEFINITION_LINES = 120;
+
+// Codebase review: files are cut into segments of at most this many lines,
+// and segments are packed into one model request up to a character budget
+const REVIEW_SEGMENT_LINES = 300;
+const REVIEW_BATCH_CHARS = 24000;
+
+// System prompt for reviewing stored files of a codebase
+const REVIEW_SYSTEM_PROMPT = `You are a code review expert. Review the provided files and suggest refactorings.
+
+Every suggestion must point at code shown to you:
+- "file" is the path exactly as given after "File N:"
+- "lineStart"/"lineEnd" are the numbers shown in the left margin (never estimate)
+- "snippet" is the code copied verbatim, without the line-number prefixes
+- "patch" (optional) is a unified diff of that one file implementing the change: "---"/"+++" headers,
+  "@@" hunk headers using the numbers in the left margin, 3 lines of context, and diff lines
+  without the line-number prefixes. Leave it out when the change spans code you were not shown.
+Only suggest changes worth making; return an empty list for code that is fine.
+
+Format your response as JSON with this structure:
+{
+  "suggestions": [
+    {
+      "title": "Brief title",
+      "description": "Detailed explanation and the suggested change",
+      "priority": "high|medium|low",
+      "category": "performance|readability|maintainability|security|best-practices",
+      "file": "path/to/file.js",
+      "lineStart": 10,
+      "lineEnd": 25,
+      "snippet": "the code the suggestion is about",
+      "patch": "--- a/path/to/file.js\\n+++ b/path/to/file.js\\n@@ -10,4 +10,4 @@\\n ..."
+    }
+  ]
+}`;
 
-        const result = JSON.parse(response.choices[0].message.content);
+// Ordering of review suggestions
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
 
-        return {
-            answer: result.answer,
-            mermaidCode: result.mermaidCode,
-            fileReferences: result.references || []
-        };
+// Shared completion settings for codebase Q&A
+const QA_COMPLETION_OPTIONS = {
+    task: 'qa',
+    temperature: 0.3,
+    maxTokens: 4000,
+    json: true
+};
+
+/**
+ * Answer a question about a codebase using RAG
+ * @param {string} codebaseId - ID of the codebase
+ * @param {string} question - User's question
+ * @param {Array} [history] - Earlier turns of the conversation, oldest first
+ * @param {Object} [options]
+ * @param {Array<string>} [options.pathPrefixes] - Limit retrieval to these workspace members
+ * @returns {Promise<{answer: string, mermaidCode: string, fileReferences: Array}>}
+ */
+export async function answerQuestion(codebaseId, question, history = [], { pathPrefixes = null } = {}) {
+    try {
+        const { messages } = await prepareQuestion(codebaseId, question, history, pathPrefixes);
+
+        // Call the configured LLM provider
+        const content = await getLLMProvider().complete({
+            ...QA_COMPLETION_OPTIONS,
+            messages
+        });
+
+        return await finalizeAnswer(codebaseId, content);
 
     } catch (error) {
         console.error('Error answering question:', error);
@@ -104,6 +123,330 @@ Format your response as JSON with this structure:
     }
 }
 
+/**
+ * Answer a question while streaming progress.
+ * Calls `onRetrieval` once context is chosen, then `onToken` with each new
+ * piece of the answer text as the model produces it.
+ * @param {string} codebaseId - ID of the codebase
+ * @param {string} question - User's question
+ * @param {Object} handlers
+ * @param {Array} [handlers.history] - Earlier turns of the conversation, oldest first
+ * @param {Array<string>} [handlers.pathPrefixes] - Limit retrieval to these workspace members
+ * @param {Function} [handlers.onRetrieval] - Receives [{ file, lineStart, lineEnd }]
+ * @param {Function} [handlers.onToken] - Receives a string delta of the answer
+ * @param {AbortSignal} [handlers.signal] - Aborts the model request
+ * @returns {Promise<{answer: string, mermaidCode: string, fileReferences: Array}>}
+ */
+export async function streamAnswer(codebaseId, question, { history = [], pathPrefixes = null, onRetrieval, onToken, signal } = {}) {
+    try {
+        const { messages, relevantFiles } = await prepareQuestion(codebaseId, question, history, pathPrefixes);
+
+        if (onRetrieval) {
+            onRetrieval(relevantFiles.map(file => ({
+                file: file.file_path,
+                lineStart: file.start_line || null,
+                lineEnd: file.end_line || null
+            })));
+        }
+
+        const stream = getLLMProvider().stream({
+            ...QA_COMPLETION_OPTIONS,
+            messages
+        }, { signal });
+
+        // The model streams JSON; pull the "answer" string out as it grows
+        const extractor = createJsonStringExtractor('answer');
+        let raw = '';
+
+        for await (const delta of stream) {
+            raw += delta;
+            const text = extractor.push(delta);
+            if (text && onToken) {
+                onToken(text);
+            }
+        }
+
+        return await finalizeAnswer(codebaseId, raw);
+
+    } catch (error) {
+        if (signal && signal.aborted) {
+            throw error;
+        }
+        console.error('Error streaming answer:', error);
+        throw new Error(`Failed to answer question: ${error.message}`);
+    }
+}
+
+/**
+ * Retrieve context for a question and build the chat messages
+ * @param {string} codebaseId
+ * @param {string} question
+ * @param {Array} history - Earlier turns of the conversation, oldest first
+ * @param {Array<string>|null} pathPrefixes - Limit retrieval to files under these prefixes
+ * @returns {Promise<{messages: Array, relevantFiles: Array}>}
+ */
+async function prepareQuestion(codebaseId, question, history, pathPrefixes) {
+    const recentTurns = history.slice(-MAX_HISTORY_TURNS);
+
+    // Follow-ups like "what calls that?" only make sense next to the previous question
+    const lastTurn = recentTurns[recentTurns.length - 1];
+    const retrievalQuery = lastTurn ? `${lastTurn.question}\n${question}` : question;
+
+    // Rank embedded chunks by similarity to the question
+    let relevantFiles = await retrieveRelevantChunks(codebaseId, retrievalQuery, { pathPrefixes });
+
+    // Codebases ingested without an index fall back to keyword matching
+    if (!relevantFiles) {
+        const files = await getCodebaseFiles(codebaseId, pathPrefixes);
+
+        if (files.length === 0) {
+            throw new Error('No files found in codebase');
+        }
+
+        relevantFiles = findRelevantFiles(files, retrievalQuery);
+    }
+
+    // Code cited in earlier turns goes first so follow-ups can refer back to
+    // it, then the exact definitions of symbols the question names
+    const citedFiles = await loadCitedCode(codebaseId, recentTurns);
+    const definitions = await loadSymbolDefinitions(codebaseId, question, pathPrefixes);
+    const seen = new Set();
+    relevantFiles = [...citedFiles, ...definitions, ...relevantFiles].filter(file => {
+        const key = `${file.file_path}:${file.start_line}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+
+    // Build context from relevant files
+    const context = buildContext(relevantFiles);
+
+    // Create prompt for the LLM
+    const prompt = createPrompt(question, context);
+
+    const messages = [
+        { role: 'system', content: QA_SYSTEM_PROMPT },
+        ...recentTurns.flatMap(turn => [
+            { role: 'user', content: turn.question },
+            { role: 'assistant', content: turn.answer }
+        ]),
+        { role: 'user', content: prompt }
+    ];
+
+    return {
+        relevantFiles,
+        messages: redactionEnabled(await getCodebase(codebaseId)) ? redactMessages(messages) : messages
+    };
+}
+
+/**
+ * Replace likely secrets in chat messages before they are sent to the model
+ * @param {Array} messages
+ * @returns {Array}
+ */
+function redactMessages(messages) {
+    return messages.map(message => ({ ...message, content: redactSecrets(message.content).text }));
+}
+
+/**
+ * Load the exact code ranges cited by earlier turns of a conversation
+ * @param {string} codebaseId
+ * @param {Array} turns - Each with a `file_references` array
+ * @returns {Promise<Array>} - Context entries with file_path, start_line and end_line
+ */
+async function loadCitedCode(codebaseId, turns) {
+    const seen = new Set();
+    const citations = [];
+
+    // Most recent turns first: their citations matter most for a follow-up
+    for (const turn of [...turns].reverse()) {
+        for (const ref of turn.file_references || []) {
+            const key = `${ref.file}:${ref.lineStart}-${ref.lineEnd}`;
+            if (!ref.file || seen.has(key)) continue;
+
+            seen.add(key);
+            citations.push(ref);
+        }
+    }
+
+    const selected = citations.slice(0, MAX_CITED_RANGES);
+    if (selected.length === 0) {
+        return [];
+    }
+
+    const files = await getCodeFilesByPaths(codebaseId, [...new Set(selected.map(ref => ref.file))]);
+    const filesByPath = new Map(files.map(file => [file.file_path, file]));
+
+    return selected
+        .filter(ref => filesByPath.has(ref.file))
+        .map(ref => {
+            const file = filesByPath.get(ref.file);
+            const lines = file.content.split('\n');
+            const startLine = Math.max(parseInt(ref.lineStart) || 1, 1);
+            const endLine = Math.min(Math.max(parseInt(ref.lineEnd) || startLine, startLine), lines.length);
+
+            return {
+                file_path: file.file_path,
+                language: file.language,
+                content: lines.slice(startLine - 1, endLine).join('\n'),
+                start_line: startLine,
+                end_line: endLine
+            };
+        });
+}
+
+/**
+ * Identifiers a question mentions: `backticked` names, calls like foo(),
+ * and anything shaped like code (camelCase, snake_case, Class.method)
+ * @param {string} question
+ * @returns {Array<string>}
+ */
+function extractIdentifiers(question) {
+    const names = new Set();
+
+    for (const match of question.matchAll(/`([^`\s]+)`/g)) {
+        names.add(match[1].replace(/\(\)$/, ''));
+    }
+    for (const match of question.matchAll(/[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*(?=\s*\()|[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)+|\b[a-z]+[A-Z][\w$]*|\b[A-Z][a-z0-9]+[A-Z][\w$]*|\b[A-Za-z]+_[\w$]+/g)) {
+        names.add(match[0]);
+    }
+
+    // "Class.method" also matches a bare "method"
+    for (const name of [...names]) {
+        if (name.includes('.')) names.add(name.split('.').pop());
+    }
+    return [...names].filter(name => name.length >= 3);
+}
+
+/**
+ * Load the definitions of symbols named in the question from the symbol index
+ * @param {string} codebaseId
+ * @param {string} question
+ * @param {Array<string>|null} pathPrefixes
+ * @returns {Promise<Array>} - Context entries with file_path, start_line, end_line, kind and name
+ */
+async function loadSymbolDefinitions(codebaseId, question, pathPrefixes) {
+    const identifiers = extractIdentifiers(question);
+    if (identifiers.length === 0) {
+        return [];
+    }
+
+    const symbols = await findSymbolsByNames(codebaseId, identifiers, pathPrefixes);
+
+    // Qualified-name matches first, then exported declarations, then containers over members
+    const ranked = symbols
+        .map(symbol => ({
+            symbol,
+            rank: (identifiers.includes(symbol.qualified_name) ? 4 : 0) + (symbol.exported ? 2 : 0) + (symbol.parent ? 0 : 1)
+        }))
+        .sort((a, b) => b.rank - a.rank)
+        .slice(0, MAX_SYMBOL_DEFINITIONS)
+        .map(({ symbol }) => symbol);
+
+    if (ranked.length === 0) {
+        return [];
+    }
+
+    const files = await getCodeFilesByPaths(codebaseId, [...new Set(ranked.map(symbol => symbol.file_path))]);
+    const filesByPath = new Map(files.map(file => [file.file_path, file]));
+
+    return ranked
+        .filter(symbol => filesByPath.has(symbol.file_path))
+        .map(symbol => {
+            const file = filesByPath.get(symbol.file_path);
+            const endLine = Math.min(symbol.end_line, symbol.start_line + MAX_DEFINITION_LINES - 1);
+
+            return {
+                file_path: file.file_path,
+                language: file.language,
+                content: file.content.split('\n').slice(symbol.start_line - 1, endLine).join('\n'),
+                start_line: symbol.start_line,
+                end_line: endLine,
+                kind: symbol.kind,
+                name: symbol.qualified_name
+            };
+        });
+}
+
+/**
+ * Parse the model's JSON output and verify its references
+ * @param {string} codebaseId
+ * @param {string} content - Raw JSON from the model
+ * @returns {Promise<{answer: string, mermaidCode: string, fileReferences: Array}>}
+ */
+async function finalizeAnswer(codebaseId, content) {
+    const result = JSON.parse(content);
+
+    // Check every reference against the stored files before it reaches the UI
+    const fileReferences = await verifyReferences(codebaseId, result.references || []);
+
+    return {
+        answer: result.answer,
+        mermaidCode: result.mermaidCode,
+        fileReferences
+    };
+}
+
+// Decoded values of JSON single-character escapes
+const JSON_ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '"': '"', '\\': '\\', '/': '/' };
+
+/**
+ * Incrementally decode one top-level string field from streamed JSON text.
+ * `push` returns the newly decoded characters of that field (possibly '').
+ * @param {string} field
+ * @returns {{push: Function}}
+ */
+function createJsonStringExtractor(field) {
+    const opener = new RegExp(`"${field}"\\s*:\\s*"`);
+    let buffer = '';
+    let position = -1; // index in buffer of the next undecoded character
+    let done = false;
+
+    return {
+        push(delta) {
+            buffer += delta;
+            if (done) return '';
+
+            if (position === -1) {
+                const match = buffer.match(opener);
+                if (!match) return '';
+                position = match.index + match[0].length;
+            }
+
+            let out = '';
+            while (position < buffer.length) {
+                const ch = buffer[position];
+
+                if (ch === '"') {
+                    done = true;
+                    break;
+                }
+
+                if (ch !== '\\') {
+                    out += ch;
+                    position++;
+                    continue;
+                }
+
+                // Wait for the rest of an escape sequence to arrive
+                const next = buffer[position + 1];
+                if (next === undefined) break;
+
+                if (next === 'u') {
+                    if (position + 6 > buffer.length) break;
+                    out += String.fromCharCode(parseInt(buffer.slice(position + 2, position + 6), 16));
+                    position += 6;
+                } else {
+                    out += JSON_ESCAPES[next] ?? next;
+                    position += 2;
+                }
+            }
+
+            return out;
+        }
+    };
+}
+
 /**
  * Find relevant files based on question keywords
  * @param {Array} files - All files in codebase
@@ -132,20 +475,22 @@ function findRelevantFiles(files, question) {
             score += matches;
         });
 
-        return { ...file, score };
+        // Generated and vendored files only win when nothing else matches as well
+        return { ...file, score: file.category ? score * LOW_PRIORITY_WEIGHT : score };
     });
 
     // Sort by score descending
     const sorted = scoredFiles.sort((a, b) => b.score - a.score);
 
     // Take top matches (score > 0). If NOTHING scores, fall back to the top 8
-    // files so OpenAI always receives meaningful context.
+    // files so the model always receives meaningful context.
     const matched = sorted.filter(f => f.score > 0).slice(0, 10);
     if (matched.length > 0) return matched;
 
-    // Fallback: return up to 8 files sorted by size (larger files tend to be more important)
+    // Fallback: return up to 8 hand-written files sorted by size (larger files
+    // tend to be more important), generated and vendored ones last
     return [...files]
-        .sort((a, b) => (b.size || 0) - (a.size || 0))
+        .sort((a, b) => Boolean(a.category) - Boolean(b.category) || (b.size || 0) - (a.size || 0))
         .slice(0, 8);
 }
 
@@ -168,8 +513,8 @@ function extractKeywords(question) {
 }
 
 /**
- * Build context from relevant files
- * @param {Array} files
+ * Build context from relevant files or retrieved chunks
+ * @param {Array} files - Whole files, or chunks carrying start_line/end_line
  * @returns {string}
  */
 function buildContext(files) {
@@ -181,14 +526,20 @@ function buildContext(files) {
 
     files.forEach((file, index) => {
         // Truncate very long files
-        const content = file.content.length > 3000
-            ? file.content.substring(0, 3000) + '\n... (truncated)'
-            : file.content;
+        const truncated = file.content.length > 3000;
+        const content = truncated ? file.content.substring(0, 3000) : file.content;
 
         context += `File ${index + 1}: ${file.file_path}\n`;
+        if (file.start_line) {
+            context += `Lines: ${file.start_line}-${file.end_line}\n`;
+        }
+        if (file.name) {
+            context += `Symbol: ${file.kind} ${file.name}\n`;
+        }
         context += `Language: ${file.language}\n`;
         context += '```' + file.language + '\n';
-        context += content;
+        context += numberLines(content, file.start_line || 1);
+        context += truncated ? '\n... (truncated)' : '';
         context += '\n```\n\n';
     });
 
@@ -196,7 +547,20 @@ function buildContext(files) {
 }
 
 /**
- * Create prompt for OpenAI
+ * Prefix each line with its line number so the model can cite exact ranges
+ * @param {string} content
+ * @param {number} startLine - Line number of the first line
+ * @returns {string}
+ */
+function numberLines(content, startLine) {
+    return content
+        .split('\n')
+        .map((line, i) => `${startLine + i}| ${line}`)
+        .join('\n');
+}
+
+/**
+ * Create prompt for the LLM
  * @param {string} question
  * @param {string} context
  * @returns {string}
@@ -210,20 +574,33 @@ Please analyze the code and answer the question. Provide specific file paths, li
 }
 
 /**
- * Generate refactor suggestions for code
+ * Static analysis findings as a prompt section, so the model builds on them
+ * instead of rediscovering them
+ * @param {Array} findings
+ * @returns {string}
+ */
+function findingsSection(findings) {
+    if (findings.length === 0) return '';
+    return `\n\nStatic analysis already reported these issues (deterministic, line numbers exact):\n${formatFindings(findings)}\n` +
+        'Suggest concrete fixes for the ones worth fixing, and look for problems static analysis cannot see; do not just restate them.';
+}
+
+/**
+ * Generate refactor suggestions for code. Suggestions may carry a unified
+ * diff against the snippet; see validateSuggestionPatch for the patch fields.
  * @param {string} code - Code snippet
  * @param {string} language - Programming language
+ * @param {Array} [findings] - Static analysis findings for the snippet
+ * @param {Object} [options]
+ * @param {boolean} [options.redact] - Redact likely secrets before sending the code
  * @returns {Promise<Array>}
  */
-export async function generateRefactorSuggestions(code, language) {
+export async function generateRefactorSuggestions(code, language, findings = [], { redact = false } = {}) {
     try {
-        const openai = getOpenAIClient();
-        const response = await openai.chat.completions.create({
-            model: 'gpt-4-turbo-preview',
-            messages: [
-                {
-                    role: 'system',
-                    content: `You are a code review expert. Analyze code and provide refactoring suggestions.
+        const messages = [
+            {
+                role: 'system',
+                content: `You are a code review expert. Analyze code and provide refactoring suggestions.
 
 Format your response as JSON with this structure:
 {
@@ -232,26 +609,211 @@ Format your response as JSON with this structure:
       "title": "Brief title",
       "description": "Detailed explanation",
       "priority": "high|medium|low",
-      "category": "performance|readability|maintainability|security|best-practices"
+      "category": "performance|readability|maintainability|security|best-practices",
+      "patch": "optional unified diff against the submitted code implementing the suggestion"
     }
   ]
+}
+
+When you include a patch, use "--- a/snippet" and "+++ b/snippet" headers, "@@" hunk headers with
+the submitted code's line numbers, and 3 lines of context.`
+            },
+            {
+                role: 'user',
+                content: `Analyze this ${language} code and provide refactoring suggestions:\n\n\`\`\`${language}\n${code}\n\`\`\`${findingsSection(findings)}`
+            }
+        ];
+
+        const content = await getLLMProvider().complete({
+            task: 'refactor',
+            messages: redact ? redactMessages(messages) : messages,
+            temperature: 0.4,
+            maxTokens: 3000,
+            json: true
+        });
+
+        const result = JSON.parse(content);
+        return (result.suggestions || []).map(suggestion => validateSuggestionPatch(suggestion, 'snippet', code, language));
+
+    } catch (error) {
+        console.error('Error generating refactor suggestions:', error);
+        throw new Error(`Failed to generate suggestions: ${error.message}`);
+    }
+}
+
+/**
+ * Cut files into line-numbered segments and pack them into review batches
+ * @param {Array} files - Stored files (file_path, language, content)
+ * @returns {Array<Array>} - Batches of context entries with file_path, start_line and end_line
+ */
+function createReviewBatches(files) {
+    const segments = files.flatMap(file => {
+        const lines = file.content.split('\n');
+        const parts = [];
+        for (let start = 0; start < lines.length; start += REVIEW_SEGMENT_LINES) {
+            const slice = lines.slice(start, start + REVIEW_SEGMENT_LINES);
+            parts.push({
+                file_path: file.file_path,
+                language: file.language,
+                content: slice.join('\n'),
+                start_line: start + 1,
+                end_line: start + slice.length
+            });
+        }
+        return parts;
+    });
+
+    const batches = [];
+    let current = [];
+    let size = 0;
+    for (const segment of segments) {
+        if (current.length > 0 && size + segment.content.length > REVIEW_BATCH_CHARS) {
+            batches.push(current);
+            current = [];
+            size = 0;
+        }
+        current.push(segment);
+        size += segment.content.length;
+    }
+    if (current.length > 0) batches.push(current);
+
+    return batches;
+}
+
+/**
+ * Context block for one review batch; unlike Q&A context, segments are sent in full
+ * @param {Array} segments
+ * @returns {string}
+ */
+function buildReviewContext(segments) {
+    return segments.map((segment, index) =>
+        `File ${index + 1}: ${segment.file_path}\n` +
+        `Lines: ${segment.start_line}-${segment.end_line}\n` +
+        `Language: ${segment.language}\n` +
+        '```' + segment.language + '\n' +
+        numberLines(segment.content, segment.start_line) +
+        '\n```'
+    ).join('\n\n');
+}
+
+/**
+ * Review stored files of a codebase in batches. Each suggestion is tied to a
+ * file and line range, verified against the stored content like Q&A references,
+ * and its patch (if any) is checked to apply to that file. A failed batch is
+ * reported rather than failing the whole review.
+ * @param {string} codebaseId
+ * @param {Array} files - Stored files (file_path, language, content)
+ * @param {Array} [findings] - Static analysis findings; each batch gets those for its files
+ * @param {Object} [options]
+ * @param {boolean} [options.redact] - Redact likely secrets before sending the code
+ * @returns {Promise<{suggestions: Array, batchCount: number, failedBatches: Array<{files: Array<string>, error: string}>}>}
+ */
+export async function reviewCodebaseFiles(codebaseId, files, findings = [], { redact = false } = {}) {
+    const batches = createReviewBatches(files);
+    const suggestions = [];
+    const failedBatches = [];
+
+    for (const segments of batches) {
+        const batchFindings = findings.filter(finding => segments.some(segment =>
+            segment.file_path === finding.file &&
+            finding.lineStart <= segment.end_line &&
+            finding.lineEnd >= segment.start_line
+        ));
+
+        const messages = [
+            { role: 'system', content: REVIEW_SYSTEM_PROMPT },
+            { role: 'user', content: `Review these files and provide refactoring suggestions:\n\n${buildReviewContext(segments)}${findingsSection(batchFindings)}` }
+        ];
+
+        try {
+            const content = await getLLMProvider().complete({
+                task: 'refactor',
+                messages: redact ? redactMessages(messages) : messages,
+                temperature: 0.4,
+                maxTokens: 3000,
+                json: true
+            });
+
+            const result = JSON.parse(content);
+            const verified = await verifyReferences(codebaseId, result.suggestions || []);
+
+            // verifyReferences accepts any stored file; keep suggestions about reviewed ones
+            const reviewed = verified.filter(suggestion => files.some(f => f.file_path === suggestion.file));
+            if (reviewed.length < verified.length) {
+                console.warn(`⚠️  Dropped ${verified.length - reviewed.length} suggestion(s) about files outside the review`);
+            }
+
+            suggestions.push(...reviewed.map(suggestion => {
+                const file = files.find(f => f.file_path === suggestion.file);
+                return validateSuggestionPatch(suggestion, file.file_path, file.content, file.language);
+            }));
+
+        } catch (error) {
+            console.error('Error reviewing batch:', error);
+            failedBatches.push({
+                files: [...new Set(segments.map(segment => segment.file_path))],
+                error: error.message
+            });
+        }
+    }
+
+    if (batches.length > 0 && failedBatches.length === batches.length) {
+        throw new Error(`Failed to review files: ${failedBatches[0].error}`);
+    }
+
+    // A suggestion without a line would make the comparison NaN; sort it after located ones
+    const lineOf = suggestion => Number.isFinite(suggestion.lineStart) ? suggestion.lineStart : Number.MAX_SAFE_INTEGER;
+    suggestions.sort((a, b) =>
+        (PRIORITY_ORDER[a.priority] ?? 3) - (PRIORITY_ORDER[b.priority] ?? 3) ||
+        a.file.localeCompare(b.file) ||
+        lineOf(a) - lineOf(b)
+    );
+
+    return { suggestions, batchCount: batches.length, failedBatches };
+}
+
+/**
+ * Write a short narrative summary of a codebase from its deterministic overview
+ * @param {string} name - Codebase name
+ * @param {Object} overview - From buildOverview
+ * @returns {Promise<{text: string, model: string}>}
+ */
+export async function generateCodebaseSummary(name, overview) {
+    try {
+        const provider = getLLMProvider();
+        const content = await provider.complete({
+            task: 'summary',
+            messages: [
+                {
+                    role: 'system',
+                    content: `You are a senior engineer writing a short orientation for someone new to a codebase.
+Use only the facts in the overview you are given; do not invent components, files or frameworks.
+Write 2-4 short paragraphs covering what the project appears to be, how it is organized, and where to start reading.
+
+Format your response as JSON with this structure:
+{
+  "summary": "The narrative, paragraphs separated by blank lines"
 }`
                 },
                 {
                     role: 'user',
-                    content: `Analyze this ${language} code and provide refactoring suggestions:\n\n\`\`\`${language}\n${code}\n\`\`\``
+                    content: `Codebase: ${name}\n\nOverview:\n${JSON.stringify(overview, null, 2)}`
                 }
             ],
-            temperature: 0.4,
-            max_tokens: 1500,
-            response_format: { type: "json_object" }
+            temperature: 0.3,
+            maxTokens: 800,
+            json: true
         });
 
-        const result = JSON.parse(response.choices[0].message.content);
-        return result.suggestions || [];
+        const result = JSON.parse(content);
+        if (!result.summary) {
+            throw new Error('The model returned no summary');
+        }
+        // LLM_SUMMARY_MODEL may pick a different model than the provider default
+        return { text: result.summary, model: provider.modelFor('summary') };
 
     } catch (error) {
-        console.error('Error generating refactor suggestions:', error);
-        throw new Error(`Failed to generate suggestions: ${error.message}`);
+        console.error('Error generating codebase summary:', error);
+        throw new Error(`Failed to generate summary: ${error.message}`);
     }
 }
@@ -0,0 +1,429 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import AdmZip from 'adm-zip';
+import * as tar from 'tar';
+import { envInt } from '../config.js';
+
+// Tar archives are a sequence of 512-byte blocks, each entry starting with a header block
+const TAR_BLOCK_SIZE = 512;
+
+// Zip-bomb limits: total uncompressed bytes and number of entries, unless
+// ARCHIVE_MAX_UNCOMPRESSED_SIZE / ARCHIVE_MAX_ENTRIES override them
+const DEFAULT_MAX_UNCOMPRESSED_SIZE = 500 * 1024 * 1024; // 500MB
+const DEFAULT_MAX_ENTRIES = 20000;
+
+// Cap on skipped entries listed individually in the report
+const MAX_REPORTED_SKIPS = 1000;
+
+// Tar entry types we extract; devices, FIFOs and the like are skipped
+const TAR_ENTRY_TYPES = new Set(['File', 'OldFile', 'ContiguousFile', 'Directory', 'SymbolicLink', 'Link']);
+
+// File type bits of a Unix mode, as stored in a ZIP entry's external attributes
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+/**
+ * Check whether a block is a valid tar header by recomputing its checksum.
+ * Works for v7, ustar, GNU and pax archives alike (only ustar has a magic).
+ * @param {Buffer} block
+ * @returns {boolean}
+ */
+function isTarHeader(block) {
+    if (block.length < TAR_BLOCK_SIZE) return false;
+
+    const stored = parseInt(block.toString('ascii', 148, 156).replace(/\0.*$/, '').trim(), 8);
+    if (Number.isNaN(stored)) return false;
+
+    // The checksum field itself counts as eight spaces
+    let sum = 8 * 0x20;
+    for (let i = 0; i < TAR_BLOCK_SIZE; i++) {
+        if (i < 148 || i >= 156) sum += block[i];
+    }
+    return sum === stored;
+}
+
+/**
+ * Read the first bytes of a file
+ * @param {string} filePath
+ * @param {number} length
+ * @returns {Buffer}
+ */
+function readHead(filePath, length) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(length);
+        const bytesRead = fs.readSync(fd, buffer, 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Decompress just enough of a gzip file to see its first tar block
+ * @param {string} filePath
+ * @returns {Promise<Buffer>}
+ */
+function readGzipHead(filePath) {
+    return new Promise((resolve) => {
+        const chunks = [];
+        let length = 0;
+        const input = fs.createReadStream(filePath);
+        const gunzip = zlib.createGunzip();
+
+        const finish = () => {
+            input.destroy();
+            gunzip.destroy();
+            resolve(Buffer.concat(chunks).subarray(0, TAR_BLOCK_SIZE));
+        };
+
+        gunzip.on('data', (chunk) => {
+            chunks.push(chunk);
+            length += chunk.length;
+            if (length >= TAR_BLOCK_SIZE) finish();
+        });
+        gunzip.on('end', finish);
+        // Corrupt gzip: whatever was decompressed so far decides
+        gunzip.on('error', finish);
+        input.on('error', finish);
+
+        input.pipe(gunzip);
+    });
+}
+
+/**
+ * Work out an archive's format from its contents (the file name is not trusted)
+ * @param {string} filePath
+ * @returns {Promise<'zip'|'tar'|'tar.gz'|null>} - null when not a supported archive
+ */
+export async function detectArchiveFormat(filePath) {
+    const head = readHead(filePath, TAR_BLOCK_SIZE);
+
+    // Local file header, or the end-of-central-directory record of an empty ZIP
+    if (head[0] === 0x50 && head[1] === 0x4b && (head[2] === 0x03 || head[2] === 0x05)) {
+        return 'zip';
+    }
+
+    if (head[0] === 0x1f && head[1] === 0x8b) {
+        return isTarHeader(await readGzipHead(filePath)) ? 'tar.gz' : null;
+    }
+
+    return isTarHeader(head) ? 'tar' : null;
+}
+
+/**
+ * Error for an archive refused outright; `reason` is a stable code
+ * ('path_traversal', 'too_large', ...) reported on the ingestion job
+ * @param {string} reason
+ * @param {string} message
+ * @returns {Error}
+ */
+function rejectArchive(reason, message) {
+    const error = new Error(message);
+    error.reason = reason;
+    return error;
+}
+
+/**
+ * Summary of one extraction, returned to the caller and included in the job report
+ * @param {string} format
+ * @returns {{format: string, entries: number, totalSize: number, skipped: Object}}
+ */
+function createSummary(format) {
+    return {
+        format,
+        entries: 0,
+        totalSize: 0,
+        skipped: { counts: {}, files: [], truncated: false }
+    };
+}
+
+/**
+ * Count an entry that was left out of the extraction under its reason
+ * @param {Object} summary
+ * @param {string} entryPath
+ * @param {string} reason
+ */
+function recordSkip(summary, entryPath, reason) {
+    const { skipped } = summary;
+    skipped.counts[reason] = (skipped.counts[reason] || 0) + 1;
+
+    if (skipped.files.length < MAX_REPORTED_SKIPS) {
+        skipped.files.push({ path: entryPath, reason });
+    } else {
+        skipped.truncated = true;
+    }
+}
+
+/**
+ * Check that a path stays inside a directory
+ * @param {string} root - Absolute directory
+ * @param {string} target - Absolute path
+ * @returns {boolean}
+ */
+function isInside(root, target) {
+    return target === root || target.startsWith(root + path.sep);
+}
+
+/**
+ * Resolve where an entry would be written, rejecting absolute paths and ".."
+ * (zip-slip) instead of silently rewriting them
+ * @param {string} destination - Absolute extraction directory
+ * @param {string} entryName - Path as stored in the archive
+ * @returns {string} - Absolute target path
+ */
+function resolveEntryPath(destination, entryName) {
+    const name = String(entryName).replace(/\\/g, '/');
+    const segments = name.split('/');
+
+    if (name.startsWith('/') || /^[a-zA-Z]:/.test(name) || name.includes('\0') || segments.includes('..')) {
+        throw rejectArchive('path_traversal', `Archive entry "${entryName}" points outside the extraction directory`);
+    }
+
+    const target = path.resolve(destination, name);
+    if (!isInside(destination, target)) {
+        throw rejectArchive('path_traversal', `Archive entry "${entryName}" points outside the extraction directory`);
+    }
+    return target;
+}
+
+/**
+ * Whether a symlink target, resolved from the link's own directory, stays in the tree
+ * @param {string} destination
+ * @param {string} linkPath - Absolute path of the link
+ * @param {string} linkTarget - Target as stored in the archive
+ * @returns {boolean}
+ */
+function linkStaysInside(destination, linkPath, linkTarget) {
+    const target = String(linkTarget || '').replace(/\\/g, '/');
+    if (!target || path.isAbsolute(target) || /^[a-zA-Z]:/.test(target)) return false;
+    return isInside(destination, path.resolve(path.dirname(linkPath), target));
+}
+
+/**
+ * Enforce the entry-count and uncompressed-size limits
+ * @param {number} entries
+ * @param {number} totalSize
+ */
+function checkLimits(entries, totalSize) {
+    const maxEntries = envInt('ARCHIVE_MAX_ENTRIES', DEFAULT_MAX_ENTRIES);
+    const maxSize = envInt('ARCHIVE_MAX_UNCOMPRESSED_SIZE', DEFAULT_MAX_UNCOMPRESSED_SIZE);
+
+    if (entries > maxEntries) {
+        throw rejectArchive('too_many_entries', `Archive has more than ${maxEntries} entries`);
+    }
+    if (totalSize > maxSize) {
+        throw rejectArchive('too_large', `Archive expands to more than ${Math.round(maxSize / 1024 / 1024)}MB`);
+    }
+}
+
+/**
+ * Extract a ZIP entry by entry, validating every path and the declared sizes
+ * before anything is written. adm-zip caps inflation at the declared size,
+ * so the declared total is a real bound.
+ * @param {string} archivePath
+ * @param {string} destination - Absolute extraction directory
+ * @param {Object} summary - From createSummary
+ */
+function extractZip(archivePath, destination, summary) {
+    let entries;
+    try {
+        entries = new AdmZip(archivePath).getEntries();
+    } catch (error) {
+        throw rejectArchive('corrupt', 'Failed to read ZIP file. File may be corrupted.');
+    }
+
+    const planned = entries.map(entry => {
+        const target = resolveEntryPath(destination, entry.entryName);
+        const mode = (entry.header.attr >>> 16) & S_IFMT;
+        return { entry, target, isLink: mode === S_IFLNK };
+    });
+
+    if (planned.some(({ entry }) => entry.header.encrypted)) {
+        throw rejectArchive('encrypted', 'Encrypted ZIP archives are not supported');
+    }
+    checkLimits(planned.length, planned.reduce((sum, { entry }) => sum + entry.header.size, 0));
+
+    // Regular files first, links last, so nothing is ever written through a link
+    fs.mkdirSync(destination, { recursive: true });
+    const links = [];
+    for (const { entry, target, isLink } of planned) {
+        if (isLink) {
+            links.push({ entry, target });
+            continue;
+        }
+        if (entry.isDirectory) {
+            fs.mkdirSync(target, { recursive: true });
+            continue;
+        }
+
+        // A zero declared size disables adm-zip's inflation cap; nothing to read anyway
+        let data = Buffer.alloc(0);
+        if (entry.header.size > 0) {
+            try {
+                data = entry.getData();
+            } catch (error) {
+                throw rejectArchive('corrupt', `Failed to extract "${entry.entryName}". File may be corrupted.`);
+            }
+        }
+
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, data);
+        summary.entries++;
+        summary.totalSize += data.length;
+    }
+
+    for (const { entry, target } of links) {
+        const linkTarget = entry.getData().toString('utf-8');
+        if (!linkStaysInside(destination, target, linkTarget)) {
+            recordSkip(summary, entry.entryName, 'symlink_outside_tree');
+            continue;
+        }
+        try {
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.symlinkSync(linkTarget, target);
+            summary.entries++;
+        } catch (error) {
+            // e.g. a directory of the same name was already extracted
+            recordSkip(summary, entry.entryName, 'invalid_entry');
+        }
+    }
+}
+
+/**
+ * Extract a tar or tar.gz archive. A listing pass validates paths, limits
+ * and links first, then only the approved entries are written.
+ * @param {string} archivePath
+ * @param {string} destination - Absolute extraction directory
+ * @param {Object} summary - From createSummary
+ */
+async function extractTar(archivePath, destination, summary) {
+    const excluded = new Set();
+    let entries = 0;
+    let totalSize = 0;
+    let rejection = null;
+
+    try {
+        await tar.t({
+            file: archivePath,
+            strict: true,
+            onReadEntry: (entry) => {
+                entry.resume();
+                if (rejection) return;
+
+                try {
+                    const target = resolveEntryPath(destination, entry.path);
+
+                    if (!TAR_ENTRY_TYPES.has(entry.type)) {
+                        excluded.add(entry.path);
+                        recordSkip(summary, entry.path, 'special_file');
+                    } else if (entry.type === 'SymbolicLink' && !linkStaysInside(destination, target, entry.linkpath)) {
+                        excluded.add(entry.path);
+                        recordSkip(summary, entry.path, 'symlink_outside_tree');
+                    } else if (entry.type === 'Link') {
+                        // Hard link targets are relative to the archive root
+                        resolveEntryPath(destination, entry.linkpath);
+                    }
+
+                    entries++;
+                    totalSize += entry.size || 0;
+                    checkLimits(entries, totalSize);
+                } catch (error) {
+                    rejection = error;
+                }
+            }
+        });
+    } catch (error) {
+        throw rejectArchive('corrupt', `Failed to read ${summary.format} file. File may be corrupted.`);
+    }
+
+    if (rejection) throw rejection;
+
+    fs.mkdirSync(destination, { recursive: true });
+    try {
+        await tar.x({
+            file: archivePath,
+            cwd: destination,
+            strict: true,
+            // Don't carry over owners or permission bits from the archive
+            preserveOwner: false,
+            noChmod: true,
+            filter: (entryPath) => !excluded.has(entryPath),
+            onReadEntry: (entry) => {
+                if (entry.type !== 'Directory' && !excluded.has(entry.path)) {
+                    summary.entries++;
+                    summary.totalSize += entry.size || 0;
+                }
+            }
+        });
+    } catch (error) {
+        throw rejectArchive('corrupt', `Failed to extract ${summary.format} file. File may be corrupted.`);
+    }
+}
+
+/**
+ * Remove links whose real target ends up outside the tree once other links
+ * are followed (a chain of in-tree links can still climb out)
+ * @param {string} destination
+ * @param {Object} summary
+ */
+function removeEscapingLinks(destination, summary) {
+    // The native realpath follows links the way the OS does; the JS one
+    // normalizes ".." lexically and would miss "a -> ." followed by "b -> a/.."
+    const root = fs.realpathSync.native(destination);
+    const pending = [destination];
+
+    while (pending.length > 0) {
+        const dir = pending.pop();
+        for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, dirent.name);
+
+            if (dirent.isSymbolicLink()) {
+                let real = null;
+                try {
+                    real = fs.realpathSync.native(fullPath);
+                } catch {
+                    // Dangling link
+                }
+                if (!real || !isInside(root, real)) {
+                    fs.unlinkSync(fullPath);
+                    summary.entries--;
+                    recordSkip(summary, path.relative(destination, fullPath).replace(/\\/g, '/'), 'symlink_outside_tree');
+                }
+            } else if (dirent.isDirectory()) {
+                pending.push(fullPath);
+            }
+        }
+    }
+}
+
+/**
+ * Safely extract a ZIP, tar or gzipped tar archive into a directory.
+ * Refuses path traversal, archives over ARCHIVE_MAX_ENTRIES entries or
+ * ARCHIVE_MAX_UNCOMPRESSED_SIZE bytes, and encrypted ZIPs; leaves out
+ * symlinks pointing outside the tree and device files. Rejections throw
+ * an Error carrying a `reason` code.
+ * @param {string} archivePath
+ * @param {string} destination
+ * @param {string} [format] - From detectArchiveFormat; detected when omitted
+ * @returns {Promise<Object>} - Entry count, size and skipped entries by reason
+ */
+export async function extractArchive(archivePath, destination, format) {
+    const archiveFormat = format || await detectArchiveFormat(archivePath);
+    if (!archiveFormat) {
+        throw rejectArchive('unsupported_format', 'Unsupported archive format. Upload a ZIP, tar, tar.gz or tgz file.');
+    }
+
+    const root = path.resolve(destination);
+    const summary = createSummary(archiveFormat);
+
+    if (archiveFormat === 'zip') {
+        extractZip(archivePath, root, summary);
+    } else {
+        await extractTar(archivePath, root, summary);
+    }
+
+    removeEscapingLinks(root, summary);
+    return summary;
+}
@@ -0,0 +1,783 @@
+// Chunks longer than this are split (classes into members, everything else into windows)
+const MAX_CHUNK_LINES = 150;
+
+// Window size for languages without structure we can follow
+const WINDOW_LINES = 60;
+
+// Unclassified statements at least this long become a chunk of their own
+const MIN_STANDALONE_LINES = 8;
+
+// How each language is split into units
+const CHUNK_STRATEGIES = {
+    javascript: 'brace',
+    typescript: 'brace',
+    java: 'brace',
+    cpp: 'brace',
+    c: 'brace',
+    csharp: 'brace',
+    go: 'brace',
+    rust: 'brace',
+    php: 'brace',
+    swift: 'brace',
+    kotlin: 'brace',
+    scala: 'brace',
+    dart: 'brace',
+    css: 'brace',
+    scss: 'brace',
+    json: 'brace',
+    bash: 'brace',
+    python: 'indent',
+    ruby: 'indent',
+    yaml: 'indent',
+    markdown: 'heading'
+};
+
+// Comment and string syntax used when tracking bracket depth
+const C_STYLE = {
+    lineComments: ['//'],
+    blockComments: [['/*', '*/']],
+    quotes: ['"', '\''],
+    multilineQuotes: ['`']
+};
+
+// JavaScript regex literals may hold quotes and brackets ("/['\"]/", "/\{/")
+const JS_SCAN_RULES = { ...C_STYLE, regexLiterals: true };
+
+const SCAN_RULES = {
+    javascript: JS_SCAN_RULES,
+    typescript: JS_SCAN_RULES,
+    python: { lineComments: ['#'], blockComments: [], quotes: ['"', '\''], multilineQuotes: ['"""', '\'\'\''] },
+    ruby: { lineComments: ['#'], blockComments: [], quotes: ['"', '\''], multilineQuotes: [] },
+    yaml: { lineComments: ['#'], blockComments: [], quotes: ['"', '\''], multilineQuotes: [] },
+    bash: { lineComments: ['#'], blockComments: [], quotes: ['"', '\''], multilineQuotes: [] },
+    css: { lineComments: [], blockComments: [['/*', '*/']], quotes: ['"', '\''], multilineQuotes: [] },
+    json: { lineComments: [], blockComments: [], quotes: ['"'], multilineQuotes: [] },
+    // Single quotes start lifetimes in Rust, not strings
+    rust: { lineComments: ['//'], blockComments: [['/*', '*/']], quotes: ['"'], multilineQuotes: [] },
+    php: { lineComments: ['//', '#'], blockComments: [['/*', '*/']], quotes: ['"', '\''], multilineQuotes: [] }
+};
+
+const COMMENT_PREFIXES = ['//', '/*', '*', '#', '@', '"""', '\'\'\''];
+
+const CLASS_PATTERN = /\b(?:class|interface|struct|enum|trait|impl|module|object|protocol)\s+([A-Za-z_$][\w$]*)/;
+const FUNCTION_PATTERN = /\b(?:function\*?|def|func|fn|fun)\s+(?:\([^)]*\)\s*)?\*?\s*([A-Za-z_$][\w$]*)/;
+const ARROW_PATTERN = /\b(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|[A-Za-z_$][\w$]*\s*=>)/;
+// Neighbouring quantifiers never match the same characters, so a failed match
+// cannot backtrack polynomially; keywords end at a word boundary (getUser is one name)
+const METHOD_PATTERN = /^\s*(?:(?:public|private|protected|internal|static|async|override|final|virtual|abstract|export|default|get|set|synchronized)\b\s*|[\w<>[\],.?]+\s+(?=[A-Za-z_$][\w$]*\s*\())*([A-Za-z_$][\w$]*)\s*(?:<[^>]*>\s*)?\((?:[^)]*\)[:\w<>[\],.?|\s]*(?:\{\s*)?|[^)]*)$/;
+const ASSIGNMENT_PATTERN = /\b(?:const|let|var|val)\s+([A-Za-z_$][\w$]*)\s*(?::[^=]+)?=/;
+const CALL_PATTERN = /^\s*([\w$.]+)\s*\(\s*(['"`])([^'"`]*)\2/;
+const TYPE_PATTERN = /\b(class|interface|struct|enum|trait|module|object|protocol)\s+([A-Za-z_$][\w$]*)/;
+// Rust: `impl Type` and `impl Trait for Type` both attach methods to Type
+const IMPL_PATTERN = /^\s*impl\b(?:\s*<[^>]*>)?\s+(?:[\w:<>, ]+\s+for\s+)?([A-Za-z_]\w*)/;
+// TypeScript `type X = ...` and Go `type X struct {`
+const TYPE_DECLARATION_PATTERN = /^\s*(?:export\s+)?(?:declare\s+)?type\s+([A-Za-z_$][\w$]*)\b\s*(?:<[^>]*>)?\s*(=|struct\b|interface\b)?/;
+// Go methods name their receiver type before the method name
+const GO_RECEIVER_PATTERN = /^\s*func\s*\(\s*\w*\s*\*?\s*([A-Za-z_]\w*)/;
+// Python/Ruby module-level constants and assignments
+const PLAIN_ASSIGNMENT_PATTERN = /^([A-Za-z_]\w*)\s*(?::[^=]+)?=(?!=)/;
+const CONTROL_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'with', 'return', 'else', 'do', 'try', 'elif', 'except', 'foreach', 'using', 'lock']);
+
+// Languages whose declarations go into the symbol index
+const SYMBOL_LANGUAGES = new Set([
+    'javascript', 'typescript', 'python', 'java', 'cpp', 'c', 'csharp', 'go', 'rust',
+    'php', 'ruby', 'swift', 'kotlin', 'scala', 'dart', 'bash'
+]);
+
+// Declarations whose bodies hold members worth indexing
+const CONTAINER_KINDS = new Set(['class', 'interface', 'struct', 'enum', 'trait', 'module', 'object', 'protocol', 'impl']);
+
+/**
+ * Split source code into function-, class- and block-level chunks
+ * @param {string} content - File content
+ * @param {string} language - Language name from CODE_EXTENSIONS
+ * @returns {Array<{kind: string, name: string|null, startLine: number, endLine: number, content: string}>}
+ *   Line numbers are 1-based and inclusive
+ */
+export function chunkCode(content, language) {
+    const lines = content.split('\n');
+    const strategy = CHUNK_STRATEGIES[language] || 'window';
+
+    let ranges;
+    if (strategy === 'brace' || strategy === 'indent') {
+        const scan = scanLines(lines, SCAN_RULES[language] || C_STYLE);
+        const context = { lines, scan, strategy, closesWithEnd: language === 'ruby' };
+        ranges = chunkUnits(context, collectUnits(context, 0, lines.length, 0));
+    } else if (strategy === 'heading') {
+        ranges = chunkMarkdown(lines);
+    } else {
+        ranges = splitOversized({ kind: 'block', name: null, start: 0, end: lines.length - 1 }, WINDOW_LINES);
+    }
+
+    return ranges
+        .flatMap(range => splitOversized(range))
+        .map(range => ({
+            kind: range.kind,
+            name: range.name,
+            startLine: range.start + 1,
+            endLine: range.end + 1,
+            content: lines.slice(range.start, range.end + 1).join('\n')
+        }))
+        .filter(chunk => chunk.content.trim());
+}
+
+/**
+ * Length of the regex literal starting at `i`, if the "/" there opens one.
+ * A slash after an operand (name, number, closing bracket) is division.
+ * @param {string} line
+ * @param {number} i
+ * @returns {number} - 0 when it is not a regex literal
+ */
+function regexLiteralLength(line, i) {
+    const before = line.slice(0, i).trimEnd();
+    if (/[\w$)\]]$/.test(before) && !/\b(?:return|typeof|case|in|of|yield|await)$/.test(before)) {
+        return 0;
+    }
+
+    let inClass = false;
+    for (let j = i + 1; j < line.length; j++) {
+        const ch = line[j];
+        if (ch === '\\') {
+            j++;
+        } else if (ch === '[') {
+            inClass = true;
+        } else if (ch === ']') {
+            inClass = false;
+        } else if (ch === '/' && !inClass) {
+            return j > i + 1 ? j - i + 1 : 0;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Track bracket depth line by line, skipping strings and comments
+ * @param {Array<string>} lines
+ * @param {Object} rules - Comment and quote syntax for the language
+ * @returns {Array<{depthBefore: number, depthAfter: number, endsInside: boolean}>}
+ */
+function scanLines(lines, rules) {
+    const multilineQuotes = [...rules.multilineQuotes].sort((a, b) => b.length - a.length);
+    const result = [];
+    let depth = 0;
+    let open = null; // closing token of the string or comment we are inside
+
+    for (const line of lines) {
+        const depthBefore = depth;
+        let i = 0;
+
+        while (i < line.length) {
+            if (open) {
+                if (line[i] === '\\' && open !== '*/') {
+                    i += 2;
+                    continue;
+                }
+                if (line.startsWith(open, i)) {
+                    i += open.length;
+                    open = null;
+                    continue;
+                }
+                i++;
+                continue;
+            }
+
+            const rest = line.slice(i);
+            const quote = multilineQuotes.find(q => rest.startsWith(q)) || rules.quotes.find(q => rest.startsWith(q));
+            const blockComment = rules.blockComments.find(([start]) => rest.startsWith(start));
+
+            const regexLength = rules.regexLiterals && line[i] === '/' && !blockComment && !rest.startsWith('//')
+                ? regexLiteralLength(line, i)
+                : 0;
+
+            if (blockComment) {
+                open = blockComment[1];
+                i += blockComment[0].length;
+            } else if (rules.lineComments.some(token => rest.startsWith(token))) {
+                break;
+            } else if (regexLength > 0) {
+                i += regexLength;
+            } else if (quote) {
+                open = quote;
+                i += quote.length;
+            } else {
+                const ch = line[i];
+                if (ch === '{' || ch === '(' || ch === '[') depth++;
+                if (ch === '}' || ch === ')' || ch === ']') depth = Math.max(0, depth - 1);
+                i++;
+            }
+        }
+
+        // Ordinary quotes never span lines; an unterminated one is a stray apostrophe
+        if (open && rules.quotes.includes(open) && !multilineQuotes.includes(open)) {
+            open = null;
+        }
+
+        result.push({ depthBefore, depthAfter: depth, endsInside: open !== null });
+    }
+
+    return result;
+}
+
+/**
+ * Blank out comments and string contents, keeping every line and column in place
+ * @param {string} content
+ * @param {string} language
+ * @returns {{code: Array<string>, withStrings: Array<string>, comments: Array<{line: number, text: string}>}}
+ *   `code` has comments and string contents replaced by spaces, `withStrings` only
+ *   comments; `comments` holds each comment's text by 1-based line
+ */
+export function maskSource(content, language) {
+    const rules = SCAN_RULES[language] || C_STYLE;
+    const multilineQuotes = [...rules.multilineQuotes].sort((a, b) => b.length - a.length);
+    const code = [];
+    const withStrings = [];
+    const comments = [];
+    let open = null;
+    let inComment = false;
+
+    content.split('\n').forEach((line, index) => {
+        let masked = '';
+        let kept = '';
+        let comment = '';
+        let i = 0;
+
+        while (i < line.length) {
+            if (open) {
+                const step = line[i] === '\\' && open !== '*/' ? 2 : line.startsWith(open, i) ? open.length : 1;
+                const text = line.slice(i, i + step);
+                const closes = step === open.length && line.startsWith(open, i) && line[i] !== '\\';
+                // Closing quotes stay visible so the masked string still reads as one
+                masked += closes && !inComment ? text : ' '.repeat(text.length);
+                kept += inComment ? ' '.repeat(text.length) : text;
+                if (inComment) comment += text;
+                i += step;
+                if (closes) {
+                    open = null;
+                    inComment = false;
+                }
+                continue;
+            }
+
+            const rest = line.slice(i);
+            const quote = multilineQuotes.find(q => rest.startsWith(q)) || rules.quotes.find(q => rest.startsWith(q));
+            const blockComment = rules.blockComments.find(([start]) => rest.startsWith(start));
+
+            const regexLength = rules.regexLiterals && line[i] === '/' && !blockComment && !rest.startsWith('//')
+                ? regexLiteralLength(line, i)
+                : 0;
+
+            if (regexLength > 0) {
+                // Regex bodies are masked like string contents
+                const literal = line.slice(i, i + regexLength);
+                masked += '/' + ' '.repeat(regexLength - 2) + '/';
+                kept += literal;
+                i += regexLength;
+            } else if (blockComment) {
+                open = blockComment[1];
+                inComment = true;
+                masked += ' '.repeat(blockComment[0].length);
+                kept += ' '.repeat(blockComment[0].length);
+                comment += blockComment[0];
+                i += blockComment[0].length;
+            } else if (rules.lineComments.some(token => rest.startsWith(token))) {
+                masked += ' '.repeat(rest.length);
+                kept += ' '.repeat(rest.length);
+                comment += rest;
+                break;
+            } else if (quote) {
+                open = quote;
+                masked += quote;
+                kept += quote;
+                i += quote.length;
+            } else {
+                masked += line[i];
+                kept += line[i];
+                i++;
+            }
+        }
+
+        // Ordinary quotes never span lines; an unterminated one is a stray apostrophe
+        if (open && rules.quotes.includes(open) && !multilineQuotes.includes(open)) {
+            open = null;
+        }
+
+        code.push(masked);
+        withStrings.push(kept);
+        if (comment.trim()) comments.push({ line: index + 1, text: comment });
+    });
+
+    return { code, withStrings, comments };
+}
+
+/**
+ * Leading whitespace width of a line
+ * @param {string} line
+ * @returns {number}
+ */
+function indentOf(line) {
+    return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+}
+
+/**
+ * Split a line range into top-level units (statements, declarations, comments)
+ * @param {Object} context - { lines, scan, strategy, closesWithEnd }
+ * @param {number} from - First line index (inclusive)
+ * @param {number} to - Last line index (exclusive)
+ * @param {number} base - Bracket depth (brace) or indent width (indent) of the units
+ * @returns {Array<{start: number, end: number}>}
+ */
+function collectUnits(context, from, to, base) {
+    const { lines, scan, strategy, closesWithEnd } = context;
+    const units = [];
+    let i = from;
+
+    while (i < to) {
+        if (!lines[i].trim()) {
+            i++;
+            continue;
+        }
+
+        let end = i;
+        if (strategy === 'brace') {
+            while (end < to - 1 && (scan[end].depthAfter > base || scan[end].endsInside)) {
+                end++;
+            }
+        } else {
+            const unitIndent = indentOf(lines[i]);
+            let j = i + 1;
+            while (j < to) {
+                const continued = scan[j - 1].depthAfter > 0 || scan[j - 1].endsInside;
+                if (continued || !lines[j].trim() || indentOf(lines[j]) > unitIndent) {
+                    j++;
+                    continue;
+                }
+                if (closesWithEnd && indentOf(lines[j]) === unitIndent && /^end\b/.test(lines[j].trim())) {
+                    j++;
+                }
+                break;
+            }
+            end = j - 1;
+            while (end > i && !lines[end].trim()) {
+                end--;
+            }
+        }
+
+        units.push({ start: i, end });
+        i = end + 1;
+    }
+
+    return units;
+}
+
+/**
+ * Work out what a unit declares from its first code line
+ * @param {string} line
+ * @returns {{kind: string, name: string|null}}
+ */
+function classifyHeader(line) {
+    let match = line.match(CLASS_PATTERN);
+    if (match) return { kind: 'class', name: match[1] };
+
+    match = line.match(FUNCTION_PATTERN) || line.match(ARROW_PATTERN);
+    if (match) return { kind: 'function', name: match[1] };
+
+    match = line.match(METHOD_PATTERN);
+    if (match && !CONTROL_KEYWORDS.has(match[1])) return { kind: 'function', name: match[1] };
+
+    match = line.match(ASSIGNMENT_PATTERN);
+    if (match) return { kind: 'block', name: match[1] };
+
+    match = line.match(CALL_PATTERN);
+    if (match) return { kind: 'block', name: `${match[1]} ${match[3]}` };
+
+    return { kind: 'block', name: null };
+}
+
+/**
+ * Whether a line is a comment, docstring or decorator rather than code
+ * @param {string} line
+ * @returns {boolean}
+ */
+function isCommentLine(line) {
+    const trimmed = line.trim();
+    return COMMENT_PREFIXES.some(prefix => trimmed.startsWith(prefix));
+}
+
+/**
+ * Turn units into chunk ranges: declarations stand alone (with their leading
+ * comments), runs of short statements are merged, large classes are split
+ * into their members
+ * @param {Object} context
+ * @param {Array<{start: number, end: number}>} units
+ * @returns {Array<{kind: string, name: string|null, start: number, end: number}>}
+ */
+function chunkUnits(context, units) {
+    const { lines } = context;
+    const ranges = [];
+    let run = null;
+    let prefixStart = null;
+
+    const flushRun = () => {
+        if (run) {
+            ranges.push(run);
+            run = null;
+        }
+    };
+
+    units.forEach((unit, index) => {
+        const next = units[index + 1];
+        const allComments = lines.slice(unit.start, unit.end + 1).every(line => !line.trim() || isCommentLine(line));
+
+        // Comments and decorators directly above a unit belong to it
+        if (allComments && next && next.start === unit.end + 1) {
+            if (prefixStart === null) prefixStart = unit.start;
+            return;
+        }
+
+        const start = prefixStart !== null ? prefixStart : unit.start;
+        prefixStart = null;
+
+        const headerIndex = findHeaderLine(lines, unit);
+        const { kind, name } = classifyHeader(lines[headerIndex]);
+        const length = unit.end - start + 1;
+
+        if (kind !== 'block' || (name && length > 1) || length >= MIN_STANDALONE_LINES) {
+            flushRun();
+
+            if (kind !== 'function' && length > MAX_CHUNK_LINES) {
+                ranges.push(...splitMembers(context, { kind, name, start, end: unit.end }, headerIndex));
+            } else {
+                ranges.push({ kind, name, start, end: unit.end });
+            }
+            return;
+        }
+
+        if (run && unit.end - run.start + 1 <= MAX_CHUNK_LINES) {
+            run.end = unit.end;
+        } else {
+            flushRun();
+            run = { kind: 'block', name: null, start, end: unit.end };
+        }
+    });
+
+    flushRun();
+    return ranges;
+}
+
+/**
+ * First line of a unit that is code rather than a comment or decorator
+ * @param {Array<string>} lines
+ * @param {{start: number, end: number}} unit
+ * @returns {number}
+ */
+function findHeaderLine(lines, unit) {
+    for (let i = unit.start; i <= unit.end; i++) {
+        if (lines[i].trim() && !isCommentLine(lines[i])) {
+            return i;
+        }
+    }
+    return unit.start;
+}
+
+/**
+ * Locate the body of a declaration
+ * @param {Object} context
+ * @param {{start: number, end: number}} range
+ * @param {number} headerIndex - Line the declaration starts on
+ * @returns {{bodyStart: number, base: number}} - First body line and the depth/indent of its members
+ */
+function findBody(context, range, headerIndex) {
+    const { lines, scan, strategy } = context;
+
+    if (strategy === 'brace') {
+        // Body starts on the line after the one that opens the block
+        let open = headerIndex;
+        while (open < range.end && scan[open].depthAfter <= scan[headerIndex].depthBefore) {
+            open++;
+        }
+        return { bodyStart: open + 1, base: scan[headerIndex].depthBefore + 1 };
+    }
+
+    let bodyStart = headerIndex + 1;
+    while (bodyStart <= range.end && scan[bodyStart - 1].depthAfter > 0) {
+        bodyStart++;
+    }
+    const firstMember = lines.slice(bodyStart, range.end + 1).findIndex(line => line.trim());
+    return { bodyStart, base: firstMember === -1 ? 0 : indentOf(lines[bodyStart + firstMember]) };
+}
+
+/**
+ * Split a large class or block into a header chunk plus its members
+ * @param {Object} context
+ * @param {{kind: string, name: string|null, start: number, end: number}} range
+ * @param {number} headerIndex - Line the declaration starts on
+ * @returns {Array}
+ */
+function splitMembers(context, range, headerIndex) {
+    const { bodyStart, base } = findBody(context, range, headerIndex);
+
+    if (bodyStart > range.end) {
+        return [range];
+    }
+
+    const members = chunkUnits(context, collectUnits(context, bodyStart, range.end + 1, base))
+        .map(member => ({
+            ...member,
+            name: member.name && range.name ? `${range.name}.${member.name}` : member.name
+        }));
+
+    return [{ ...range, end: bodyStart - 1 }, ...members];
+}
+
+/**
+ * Split markdown into sections at headings (ignoring fenced code blocks)
+ * @param {Array<string>} lines
+ * @returns {Array}
+ */
+function chunkMarkdown(lines) {
+    const ranges = [];
+    let current = { kind: 'block', name: null, start: 0, end: 0 };
+    let inFence = false;
+
+    lines.forEach((line, i) => {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inFence = !inFence;
+        }
+
+        const heading = !inFence && line.match(/^#{1,6}\s+(.*)$/);
+        if (heading && i > current.start) {
+            current.end = i - 1;
+            ranges.push(current);
+            current = { kind: 'block', name: heading[1].trim(), start: i, end: i };
+        } else if (heading) {
+            current.name = heading[1].trim();
+        }
+    });
+
+    current.end = lines.length - 1;
+    ranges.push(current);
+    return ranges;
+}
+
+/**
+ * Break a range into consecutive windows of at most `size` lines
+ * @param {{kind: string, name: string|null, start: number, end: number}} range
+ * @param {number} [size]
+ * @returns {Array}
+ */
+function splitOversized(range, size = MAX_CHUNK_LINES) {
+    if (range.end - range.start + 1 <= size) {
+        return [range];
+    }
+
+    const parts = [];
+    for (let start = range.start; start <= range.end; start += size) {
+        parts.push({ ...range, start, end: Math.min(start + size - 1, range.end) });
+    }
+    return parts;
+}
+
+/**
+ * Extract the declarations a file defines: classes and other types, functions,
+ * methods and top-level variables
+ * @param {string} content - File content
+ * @param {string} language - Language name from CODE_EXTENSIONS
+ * @returns {Array<{name: string, qualifiedName: string, kind: string, parent: string|null, startLine: number, endLine: number, exported: boolean}>}
+ *   Line numbers are 1-based and inclusive; the range starts at the declaration line
+ */
+export function extractSymbols(content, language) {
+    if (!SYMBOL_LANGUAGES.has(language)) {
+        return [];
+    }
+
+    const lines = content.split('\n');
+    const strategy = CHUNK_STRATEGIES[language];
+    const scan = scanLines(lines, SCAN_RULES[language] || C_STYLE);
+    const context = { lines, scan, strategy, closesWithEnd: language === 'ruby', language };
+    const exportRules = { language, names: exportedNames(content, language) };
+
+    const symbols = [];
+    collectSymbols(context, exportRules, 0, lines.length, 0, null, symbols);
+    return symbols;
+}
+
+/**
+ * Walk the units of a line range, recording declarations and descending into
+ * classes and other containers
+ * @param {Object} context
+ * @param {Object} exportRules - { language, names }
+ * @param {number} from
+ * @param {number} to
+ * @param {number} base
+ * @param {{name: string, exported: boolean}|null} parent - Enclosing container
+ * @param {Array} symbols - Output
+ */
+function collectSymbols(context, exportRules, from, to, base, parent, symbols) {
+    const { lines } = context;
+
+    for (const unit of collectUnits(context, from, to, base)) {
+        const headerIndex = findHeaderLine(lines, unit);
+        const header = lines[headerIndex];
+        if (isCommentLine(header)) continue;
+
+        const declaration = classifySymbol(context, header, headerIndex < unit.end || header.includes('{'), parent);
+        if (!declaration) continue;
+
+        const exported = isExported(exportRules, header, declaration.name, parent);
+        const owner = parent ? parent.name : declaration.receiver || null;
+
+        // An impl block only contributes its methods, filed under the type
+        if (declaration.kind !== 'impl') {
+            symbols.push({
+                name: declaration.name,
+                qualifiedName: owner ? `${owner}.${declaration.name}` : declaration.name,
+                kind: owner && declaration.kind === 'function' ? 'method' : declaration.kind,
+                parent: owner,
+                startLine: headerIndex + 1,
+                endLine: unit.end + 1,
+                exported
+            });
+        }
+
+        if (CONTAINER_KINDS.has(declaration.kind)) {
+            const { bodyStart, base: memberBase } = findBody(context, unit, headerIndex);
+            if (bodyStart <= unit.end) {
+                const container = { name: declaration.name, exported: declaration.kind === 'impl' || exported };
+                collectSymbols(context, exportRules, bodyStart, unit.end + 1, memberBase, container, symbols);
+            }
+        }
+    }
+}
+
+/**
+ * Work out what a declaration line declares, for the symbol index. Stricter
+ * than classifyHeader: statements that merely look like calls are left out.
+ * @param {Object} context
+ * @param {string} header - Declaration line
+ * @param {boolean} hasBody - Whether the unit continues past its header or opens a block
+ * @param {Object|null} parent
+ * @returns {{kind: string, name: string, receiver?: string|null}|null}
+ */
+function classifySymbol(context, header, hasBody, parent) {
+    const { strategy, language } = context;
+
+    let match = language === 'rust' && header.match(IMPL_PATTERN);
+    if (match) return { kind: 'impl', name: match[1] };
+
+    match = header.match(TYPE_DECLARATION_PATTERN);
+    if (match && (language === 'typescript' || language === 'go')) {
+        const kind = match[2] === 'struct' || match[2] === 'interface' ? match[2] : 'type';
+        return { kind, name: match[1] };
+    }
+
+    match = header.match(TYPE_PATTERN);
+    if (match) return { kind: match[1], name: match[2] };
+
+    match = header.match(FUNCTION_PATTERN) || header.match(ARROW_PATTERN);
+    if (match) {
+        const receiver = language === 'go' && header.match(GO_RECEIVER_PATTERN);
+        return { kind: 'function', name: match[1], receiver: receiver ? receiver[1] : null };
+    }
+
+    // Indentation languages declare everything with a keyword; a bare name
+    // followed by parentheses there is a call
+    if (strategy === 'brace') {
+        match = header.match(METHOD_PATTERN);
+        if (match && hasBody && !CONTROL_KEYWORDS.has(match[1])) return { kind: 'function', name: match[1] };
+    }
+
+    if (parent) return null;
+
+    match = header.match(ASSIGNMENT_PATTERN) || (strategy === 'indent' && header.match(PLAIN_ASSIGNMENT_PATTERN));
+    if (match) return { kind: 'variable', name: match[1] };
+
+    return null;
+}
+
+/**
+ * Names a file exports explicitly: `export { a, b as c }`, `module.exports`
+ * and `exports.x` in JavaScript, `__all__` in Python
+ * @param {string} content
+ * @param {string} language
+ * @returns {Set<string>|null} - null when the file has no explicit export list (Python)
+ */
+function exportedNames(content, language) {
+    const names = new Set();
+
+    if (language === 'javascript' || language === 'typescript') {
+        for (const match of content.matchAll(/export\s*\{([^}]*)\}/g)) {
+            match[1].split(',').forEach(part => {
+                const name = part.trim().split(/\s+as\s+/)[0].trim();
+                if (name) names.add(name);
+            });
+        }
+        for (const match of content.matchAll(/module\.exports\s*=\s*\{([^}]*)\}/g)) {
+            match[1].split(',').forEach(part => {
+                const name = part.trim().split(/\s*:\s*/).pop().trim();
+                if (/^[A-Za-z_$][\w$]*$/.test(name)) names.add(name);
+            });
+        }
+        for (const match of content.matchAll(/module\.exports\s*=\s*([A-Za-z_$][\w$]*)\s*;?\s*$/gm)) {
+            names.add(match[1]);
+        }
+        for (const match of content.matchAll(/(?:module\.)?exports\.([A-Za-z_$][\w$]*)\s*=\s*([A-Za-z_$][\w$]*)?/g)) {
+            names.add(match[1]);
+            if (match[2]) names.add(match[2]);
+        }
+        return names;
+    }
+
+    if (language === 'python') {
+        const all = content.match(/^__all__\s*=\s*[[(]([^\])]*)[\])]/m);
+        if (!all) return null;
+        for (const match of all[1].matchAll(/['"]([\w.]+)['"]/g)) {
+            names.add(match[1]);
+        }
+        return names;
+    }
+
+    return names;
+}
+
+/**
+ * Whether a declaration is visible outside its file/module, by the
+ * conventions of its language. Members are only exported with their container.
+ * @param {{language: string, names: Set<string>|null}} rules
+ * @param {string} header - Declaration line
+ * @param {string} name
+ * @param {{exported: boolean}|null} parent
+ * @returns {boolean}
+ */
+function isExported({ language, names }, header, name, parent) {
+    if (parent && !parent.exported) return false;
+
+    switch (language) {
+        case 'javascript':
+        case 'typescript':
+            if (parent) return !name.startsWith('#') && !/\b(private|protected)\b/.test(header);
+            return /^\s*export\b/.test(header) || names.has(name);
+        case 'python':
+            if (!parent && names) return names.has(name);
+            return !name.startsWith('_');
+        case 'go':
+            return /^[A-Z]/.test(name);
+        case 'rust':
+            return /\bpub\b/.test(header);
+        case 'java':
+        case 'csharp':
+            return /\bpublic\b/.test(header);
+        case 'swift':
+            return /\b(public|open)\b/.test(header);
+        case 'php':
+        case 'kotlin':
+        case 'scala':
+            return !/\b(private|protected|internal)\b/.test(header);
+        case 'dart':
+            return !name.startsWith('_');
+        case 'c':
+        case 'cpp':
+            return !/\bstatic\b/.test(header);
+        default:
+            return true;
+    }
+}
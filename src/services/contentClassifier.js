@@ -0,0 +1,138 @@
+import path from 'path';
+
+// Bytes inspected for binary detection
+const SNIFF_BYTES = 8000;
+
+// Share of control or undecodable characters above which a file is binary
+const BINARY_CHAR_RATIO = 0.1;
+
+// Minified code: long average line length, or nearly all of it on very long lines
+// (only checked for files of at least MINIFIED_LONG_LINE characters)
+const MINIFIED_AVG_LINE_LENGTH = 300;
+const MINIFIED_LONG_LINE = 1000;
+const MINIFIED_LONG_LINE_SHARE = 0.5;
+
+// Structured data files this large are dumps or fixtures, not hand-written config
+const GENERATED_DATA_SIZE = 256 * 1024;
+const DATA_LANGUAGES = ['json', 'xml', 'yaml'];
+
+// Prose has long lines too; line-length stats mean nothing for it
+const PROSE_LANGUAGES = ['markdown', 'text'];
+
+// Markers code generators put near the top of their output
+const GENERATED_MARKERS = [
+    /@generated\b/,
+    /\bDO NOT EDIT\b/i,
+    /\bauto-?generated\b/i,
+    /\bautomatically generated\b/i,
+    /\bgenerated by\b.{0,60}\b(protoc|swagger|openapi|graphql|codegen|thrift|antlr|sqlc|prisma)/i
+];
+
+// Lines scanned for generator markers
+const MARKER_HEADER_LINES = 15;
+
+// File names that are generated by convention
+const GENERATED_FILENAMES = [
+    /\.pb\.go$/,
+    /_pb2(_grpc)?\.py$/,
+    /\.g\.dart$/,
+    /\.freezed\.dart$/,
+    /\.generated\.\w+$/,
+    /\.designer\.cs$/i
+];
+
+// Directories holding third-party code copied into the repo
+const VENDORED_DIRS = ['third_party', 'third-party', 'thirdparty', 'bower_components', 'jspm_packages', 'web_modules'];
+
+// Categories whose files are left out entirely; the rest are stored at low priority
+export const SKIPPED_CATEGORIES = ['binary', 'minified', 'source_map'];
+
+/**
+ * Whether raw file bytes look binary: any NUL byte, or too many control
+ * characters and invalid UTF-8 sequences in the first few KB
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+export function isBinary(buffer) {
+    const sample = buffer.subarray(0, SNIFF_BYTES);
+    if (sample.includes(0)) return true;
+
+    const text = sample.toString('utf-8');
+    if (text.length === 0) return false;
+
+    let suspicious = 0;
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        // U+FFFD is what invalid UTF-8 decodes to
+        if (code === 0xfffd || (code < 0x20 && code !== 0x09 && code !== 0x0a && code !== 0x0d && code !== 0x0c)) {
+            suspicious++;
+        }
+    }
+    return suspicious / text.length > BINARY_CHAR_RATIO;
+}
+
+/**
+ * Line-length statistics for a file
+ * @param {string} content
+ * @returns {{avgLength: number, longLineShare: number}}
+ */
+function lineStats(content) {
+    const lines = content.split('\n').filter(line => line.trim());
+    if (lines.length === 0) return { avgLength: 0, longLineShare: 0 };
+
+    const totalLength = lines.reduce((sum, line) => sum + line.length, 0);
+    const longLength = lines
+        .filter(line => line.length > MINIFIED_LONG_LINE)
+        .reduce((sum, line) => sum + line.length, 0);
+
+    return {
+        avgLength: totalLength / lines.length,
+        longLineShare: longLength / totalLength
+    };
+}
+
+/**
+ * Classify a text file that would otherwise be ingested
+ * @param {string} filePath - Relative path with "/" separators
+ * @param {string} content
+ * @param {string} language
+ * @returns {'minified'|'source_map'|'generated'|'vendored'|null} - null for ordinary source
+ */
+export function classifyContent(filePath, content, language) {
+    const fileName = path.basename(filePath);
+
+    // Source maps, including ones saved under a .js or .json name
+    if (/\.map$/.test(fileName) || /^\s*\{\s*"version"\s*:\s*3\s*,[\s\S]{0,200}"(sources|mappings)"\s*:/.test(content)) {
+        return 'source_map';
+    }
+
+    if (/[.-]min\.(js|css)$/.test(fileName)) {
+        return 'minified';
+    }
+
+    if (!PROSE_LANGUAGES.includes(language) && content.length >= MINIFIED_LONG_LINE) {
+        const { avgLength, longLineShare } = lineStats(content);
+        if (avgLength > MINIFIED_AVG_LINE_LENGTH || longLineShare > MINIFIED_LONG_LINE_SHARE) {
+            return DATA_LANGUAGES.includes(language) ? 'generated' : 'minified';
+        }
+    }
+
+    if (filePath.split('/').slice(0, -1).some(dir => VENDORED_DIRS.includes(dir))) {
+        return 'vendored';
+    }
+
+    if (GENERATED_FILENAMES.some(pattern => pattern.test(fileName))) {
+        return 'generated';
+    }
+
+    const header = content.split('\n', MARKER_HEADER_LINES).join('\n');
+    if (GENERATED_MARKERS.some(pattern => pattern.test(header))) {
+        return 'generated';
+    }
+
+    if (DATA_LANGUAGES.includes(language) && Buffer.byteLength(content) > GENERATED_DATA_SIZE) {
+        return 'generated';
+    }
+
+    return null;
+}
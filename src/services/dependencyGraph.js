@@ -0,0 +1,447 @@
+import path from 'path';
+
+// Extensions tried, in order, for extensionless JavaScript/TypeScript imports
+const JS_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.vue', '.json'];
+
+// Path aliases commonly mapped to the source root ("@/components/x")
+const JS_ALIASES = { '@/': 'src/', '~/': 'src/' };
+
+// Mermaid diagrams beyond this many nodes are unreadable; the least connected are dropped
+const MAX_MERMAID_NODES = 150;
+
+const JS_LANGUAGES = ['javascript', 'typescript', 'vue'];
+
+const JS_IMPORT_PATTERNS = [
+    /\bimport\s+(?:type\s+)?(?:[\w*${}\s,]+\s+from\s+)?['"]([^'"]+)['"]/g,
+    /\bexport\s+(?:type\s+)?(?:\*(?:\s+as\s+\w+)?|\{[^}]*\})\s+from\s+['"]([^'"]+)['"]/g,
+    /\brequire\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+    /\bimport\s*\(\s*['"]([^'"]+)['"]\s*\)/g
+];
+
+/**
+ * Find the import specifiers in a file
+ * @param {string} content
+ * @param {string} language
+ * @returns {Array<{specifier: string, line: number}>}
+ */
+export function extractImports(content, language) {
+    const imports = [];
+    const add = (specifier, line) => {
+        if (specifier && !imports.some(i => i.specifier === specifier)) {
+            imports.push({ specifier, line });
+        }
+    };
+
+    // JavaScript import lists often span several lines, so match the whole file
+    if (JS_LANGUAGES.includes(language)) {
+        for (const pattern of JS_IMPORT_PATTERNS) {
+            for (const match of content.matchAll(pattern)) {
+                const lineStart = content.lastIndexOf('\n', match.index) + 1;
+                if (/^\s*(\/\/|\*|\/\*)/.test(content.slice(lineStart, match.index))) continue;
+                add(match[1], content.slice(0, match.index).split('\n').length);
+            }
+        }
+        return imports.sort((a, b) => a.line - b.line);
+    }
+
+    const lines = content.split('\n');
+    let inGoImportBlock = false;
+
+    lines.forEach((text, index) => {
+        const line = index + 1;
+        const trimmed = text.trim();
+        if (trimmed.startsWith('//') || trimmed.startsWith('*') || trimmed.startsWith('/*')) return;
+
+        switch (language) {
+            case 'python': {
+                const from = trimmed.match(/^from\s+(\.*[\w.]*)\s+import\s+(.+)$/);
+                if (from) {
+                    // "from pkg import mod" may name submodules; keep them for resolution
+                    const names = from[2].replace(/[()]/g, '').split(',').map(n => n.trim().split(/\s+as\s+/)[0]).filter(Boolean);
+                    add(`${from[1]}:${names.join(',')}`, line);
+                    break;
+                }
+                const plain = trimmed.match(/^import\s+(.+)$/);
+                if (plain) {
+                    plain[1].split(',').map(n => n.trim().split(/\s+as\s+/)[0]).forEach(name => add(name, line));
+                }
+                break;
+            }
+
+            case 'java':
+            case 'kotlin':
+            case 'scala': {
+                const match = trimmed.match(/^import\s+(?:static\s+)?([\w.]+)(?:\.\*|\._)?;?$/);
+                if (match) add(match[1], line);
+                break;
+            }
+
+            case 'go': {
+                if (/^import\s*\($/.test(trimmed)) {
+                    inGoImportBlock = true;
+                } else if (inGoImportBlock && trimmed === ')') {
+                    inGoImportBlock = false;
+                } else {
+                    const match = inGoImportBlock
+                        ? trimmed.match(/^(?:[\w.]+\s+)?"([^"]+)"/)
+                        : trimmed.match(/^import\s+(?:[\w.]+\s+)?"([^"]+)"/);
+                    if (match) add(match[1], line);
+                }
+                break;
+            }
+
+            case 'c':
+            case 'cpp': {
+                // Only quoted includes refer to project files
+                const match = trimmed.match(/^#\s*include\s+"([^"]+)"/);
+                if (match) add(match[1], line);
+                break;
+            }
+
+            case 'ruby': {
+                const match = trimmed.match(/^require(_relative)?\s*\(?\s*['"]([^'"]+)['"]/);
+                if (match) add(match[1] ? `./${match[2]}` : match[2], line);
+                break;
+            }
+        }
+    });
+
+    return imports;
+}
+
+/**
+ * Index of stored paths used to resolve imports
+ * @param {Array<string>} filePaths
+ * @returns {{paths: Set<string>, dirs: Map<string, Array<string>>}}
+ */
+function createPathIndex(filePaths) {
+    const dirs = new Map();
+    for (const filePath of filePaths) {
+        const dir = path.posix.dirname(filePath);
+        if (!dirs.has(dir)) dirs.set(dir, []);
+        dirs.get(dir).push(filePath);
+    }
+    return { paths: new Set(filePaths), dirs };
+}
+
+/**
+ * First candidate that exists
+ * @param {Array<string>} candidates
+ * @param {Set<string>} paths
+ * @returns {string|null}
+ */
+function firstExisting(candidates, paths) {
+    return candidates.find(candidate => paths.has(candidate)) || null;
+}
+
+/**
+ * Stored paths ending with a suffix, closest to the importing file first
+ * (so "utils/db.py" resolves inside the importer's own source root)
+ * @param {string} suffix
+ * @param {string} fromPath
+ * @param {Set<string>} paths
+ * @returns {string|null}
+ */
+function matchSuffix(suffix, fromPath, paths) {
+    const matches = [...paths].filter(p => p === suffix || p.endsWith(`/${suffix}`));
+    if (matches.length <= 1) return matches[0] || null;
+
+    const shared = (p) => {
+        const a = p.split('/');
+        const b = fromPath.split('/');
+        let i = 0;
+        while (i < a.length && i < b.length && a[i] === b[i]) i++;
+        return i;
+    };
+    return matches.sort((a, b) => shared(b) - shared(a) || a.length - b.length)[0];
+}
+
+/**
+ * Package name of an external import ("@scope/pkg/sub" → "@scope/pkg")
+ * @param {string} specifier
+ * @param {string} language
+ * @returns {string}
+ */
+function packageName(specifier, language) {
+    if (language === 'python') return specifier.replace(/:.*$/, '').split('.')[0];
+    if (language === 'go' || language === 'java' || language === 'kotlin' || language === 'scala') return specifier;
+
+    const parts = specifier.replace(/^node:/, '').split('/');
+    return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * Resolve a JavaScript/TypeScript specifier to a stored path
+ * @param {string} fromPath
+ * @param {string} specifier
+ * @param {Set<string>} paths
+ * @returns {string|null}
+ */
+function resolveJs(fromPath, specifier, paths) {
+    let base;
+    const alias = Object.keys(JS_ALIASES).find(prefix => specifier.startsWith(prefix));
+
+    if (specifier.startsWith('.')) {
+        base = path.posix.join(path.posix.dirname(fromPath), specifier);
+    } else if (specifier.startsWith('/')) {
+        base = specifier.slice(1);
+    } else if (alias) {
+        base = JS_ALIASES[alias] + specifier.slice(alias.length);
+    } else {
+        return null;
+    }
+
+    // TypeScript sources import their compiled ".js" names
+    const stem = base.replace(/\.(js|jsx|mjs|cjs)$/, '');
+    return firstExisting([
+        base,
+        ...JS_EXTENSIONS.map(ext => `${stem}${ext}`),
+        ...JS_EXTENSIONS.map(ext => `${base}/index${ext}`)
+    ], paths);
+}
+
+/**
+ * Resolve a Python import ("pkg.mod", ".sibling:name", "..pkg:a,b")
+ * @param {string} fromPath
+ * @param {string} specifier
+ * @param {Set<string>} paths
+ * @returns {Array<string>} - A "from" import can pull in several submodules
+ */
+function resolvePython(fromPath, specifier, paths) {
+    const [modulePart, namesPart] = specifier.split(':');
+    const dots = modulePart.match(/^\.*/)[0].length;
+    const modulePath = modulePart.slice(dots).split('.').filter(Boolean).join('/');
+    const names = namesPart ? namesPart.split(',') : [];
+
+    const moduleCandidates = (base) => [`${base}.py`, `${base}/__init__.py`];
+    const resolveBase = (base) => dots > 0
+        ? firstExisting(moduleCandidates(base), paths)
+        : moduleCandidates(base).map(c => matchSuffix(c, fromPath, paths)).find(Boolean) || null;
+
+    let root = '';
+    if (dots > 0) {
+        root = path.posix.dirname(fromPath);
+        for (let i = 1; i < dots; i++) root = path.posix.dirname(root);
+        if (root === '.') root = '';
+    }
+    const join = (...parts) => parts.filter(Boolean).join('/');
+
+    // "from pkg import mod" imports pkg/mod.py when it exists, otherwise names from pkg
+    const submodules = names
+        .filter(name => name !== '*')
+        .map(name => resolveBase(join(root, modulePath, name)))
+        .filter(Boolean);
+    if (submodules.length > 0) return submodules;
+
+    const target = modulePath || dots > 0 ? resolveBase(join(root, modulePath)) : null;
+    return target ? [target] : [];
+}
+
+/**
+ * Resolve one import of a file to stored paths
+ * @param {string} fromPath
+ * @param {string} language
+ * @param {string} specifier
+ * @param {{paths: Set<string>, dirs: Map<string, Array<string>>}} index
+ * @returns {Array<string>} - Empty for external (or unresolvable) imports
+ */
+function resolveImport(fromPath, language, specifier, index) {
+    const { paths, dirs } = index;
+
+    switch (language) {
+        case 'javascript':
+        case 'typescript':
+        case 'vue': {
+            const target = resolveJs(fromPath, specifier, paths);
+            return target ? [target] : [];
+        }
+        case 'python':
+            return resolvePython(fromPath, specifier, paths);
+        case 'java':
+        case 'kotlin':
+        case 'scala': {
+            const base = specifier.replace(/\./g, '/');
+            const target = ['.java', '.kt', '.scala'].map(ext => matchSuffix(`${base}${ext}`, fromPath, paths)).find(Boolean);
+            return target ? [target] : [];
+        }
+        case 'go': {
+            // A Go import names a package directory; link to its non-test files
+            const segments = specifier.split('/');
+            for (let i = 0; i < segments.length; i++) {
+                const suffix = segments.slice(i).join('/');
+                const dir = [...dirs.keys()].find(d => d === suffix || d.endsWith(`/${suffix}`));
+                if (dir) {
+                    return dirs.get(dir).filter(p => p.endsWith('.go') && !p.endsWith('_test.go'));
+                }
+            }
+            return [];
+        }
+        case 'c':
+        case 'cpp': {
+            const target = firstExisting([path.posix.join(path.posix.dirname(fromPath), specifier)], paths)
+                || matchSuffix(specifier, fromPath, paths);
+            return target ? [target] : [];
+        }
+        case 'ruby': {
+            const base = specifier.startsWith('.')
+                ? path.posix.join(path.posix.dirname(fromPath), specifier)
+                : specifier;
+            const candidates = [base, `${base}.rb`];
+            const target = specifier.startsWith('.')
+                ? firstExisting(candidates, paths)
+                : candidates.map(c => matchSuffix(c, fromPath, paths)).find(Boolean);
+            return target ? [target] : [];
+        }
+        default:
+            return [];
+    }
+}
+
+/**
+ * Resolve every file's imports against the set of stored files
+ * @param {Array} files - Output of processCodeFiles (relativePath, language, imports)
+ * @returns {Array<{sourcePath: string, targetPath: string|null, specifier: string, package: string|null, line: number}>}
+ *   One record per resolved target; external imports have a null targetPath and a package name
+ */
+export function resolveDependencies(files) {
+    const index = createPathIndex(files.map(file => file.relativePath));
+    const edges = [];
+
+    for (const file of files) {
+        for (const { specifier, line } of file.imports || []) {
+            const targets = resolveImport(file.relativePath, file.language, specifier, index)
+                .filter(target => target !== file.relativePath);
+
+            if (targets.length === 0) {
+                const relative = specifier.startsWith('.');
+                edges.push({
+                    sourcePath: file.relativePath,
+                    targetPath: null,
+                    specifier,
+                    // Relative imports that did not resolve point at files we did not store
+                    package: relative ? null : packageName(specifier, file.language),
+                    line
+                });
+                continue;
+            }
+
+            for (const targetPath of targets) {
+                edges.push({ sourcePath: file.relativePath, targetPath, specifier, package: null, line });
+            }
+        }
+    }
+
+    return edges;
+}
+
+/**
+ * Node a path is drawn as: the path itself, or its directory `depth`
+ * segments below `dir` when collapsing
+ * @param {string} filePath
+ * @param {string|null} dir
+ * @param {number|null} depth
+ * @returns {string}
+ */
+function nodeFor(filePath, dir, depth) {
+    if (!depth) return filePath;
+
+    const relative = dir ? filePath.slice(dir.length + 1) : filePath;
+    const segments = relative.split('/');
+    // Files directly inside the collapsed level stay as themselves
+    if (segments.length <= depth) return filePath;
+
+    const collapsed = segments.slice(0, depth).join('/');
+    return dir ? `${dir}/${collapsed}` : collapsed;
+}
+
+/**
+ * Build the module graph for a view of the codebase
+ * @param {Array} dependencies - Stored dependency records (source_path, target_path, package)
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Only files under this directory
+ * @param {number} [options.depth] - Collapse files into directories this many levels below `dir`
+ * @param {boolean} [options.external] - Include external packages as nodes
+ * @returns {{nodes: Array<{id: string, type: string, imports: number, importedBy: number}>, edges: Array<{from: string, to: string, count: number}>}}
+ */
+export function buildModuleGraph(dependencies, { dir = null, depth = null, external = false } = {}) {
+    const scope = dir ? dir.replace(/^\.?\/+|\/+$/g, '') : null;
+    const inScope = (p) => !scope || p.startsWith(`${scope}/`);
+
+    const nodes = new Map();
+    const edges = new Map();
+    const addNode = (id, type) => {
+        if (!nodes.has(id)) nodes.set(id, { id, type, imports: 0, importedBy: 0 });
+        return nodes.get(id);
+    };
+
+    for (const dep of dependencies) {
+        if (!inScope(dep.source_path)) continue;
+
+        const from = nodeFor(dep.source_path, scope, depth);
+        addNode(from, from === dep.source_path ? 'file' : 'directory');
+
+        let to;
+        if (dep.target_path) {
+            if (!inScope(dep.target_path)) continue;
+            to = nodeFor(dep.target_path, scope, depth);
+            addNode(to, to === dep.target_path ? 'file' : 'directory');
+        } else if (external && dep.package) {
+            to = `package:${dep.package}`;
+            addNode(to, 'package');
+        } else {
+            continue;
+        }
+
+        if (from === to) continue;
+
+        const key = `${from}\n${to}`;
+        if (!edges.has(key)) {
+            edges.set(key, { from, to, count: 0 });
+            nodes.get(from).imports++;
+            nodes.get(to).importedBy++;
+        }
+        edges.get(key).count++;
+    }
+
+    return {
+        nodes: [...nodes.values()].sort((a, b) => a.id.localeCompare(b.id)),
+        edges: [...edges.values()].sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to))
+    };
+}
+
+/**
+ * Render a module graph as a Mermaid flowchart
+ * @param {{nodes: Array, edges: Array}} graph - From buildModuleGraph
+ * @returns {{mermaidCode: string, truncated: boolean}}
+ */
+export function toMermaid(graph) {
+    let { nodes, edges } = graph;
+    const truncated = nodes.length > MAX_MERMAID_NODES;
+
+    if (truncated) {
+        const kept = new Set([...nodes]
+            .sort((a, b) => (b.imports + b.importedBy) - (a.imports + a.importedBy))
+            .slice(0, MAX_MERMAID_NODES)
+            .map(node => node.id));
+        nodes = nodes.filter(node => kept.has(node.id));
+        edges = edges.filter(edge => kept.has(edge.from) && kept.has(edge.to));
+    }
+
+    const ids = new Map(nodes.map((node, i) => [node.id, `N${i}`]));
+    const label = (text) => text.replace(/"/g, '\'');
+
+    const lines = ['graph LR'];
+    for (const node of nodes) {
+        const text = label(node.type === 'package' ? node.id.slice('package:'.length) : node.id);
+        // Directories are drawn as parallelograms, packages with rounded edges
+        if (node.type === 'directory') lines.push(`  ${ids.get(node.id)}[/"${text}/"/]`);
+        else if (node.type === 'package') lines.push(`  ${ids.get(node.id)}("${text}")`);
+        else lines.push(`  ${ids.get(node.id)}["${text}"]`);
+    }
+    for (const edge of edges) {
+        const arrow = edge.count > 1 ? `-->|"${edge.count}"|` : '-->';
+        lines.push(`  ${ids.get(edge.from)} ${arrow} ${ids.get(edge.to)}`);
+    }
+
+    return { mermaidCode: lines.join('\n'), truncated };
+}
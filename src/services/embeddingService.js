@@ -0,0 +1,166 @@
+import OpenAI from 'openai';
+import crypto from 'crypto';
+
+// Dimension of the vectors produced by the local hashing embedder
+const LOCAL_DIMENSIONS = 384;
+
+// Max inputs per embeddings request (OpenAI accepts up to 2048)
+const BATCH_SIZE = 96;
+
+/**
+ * Registered embedders, keyed by provider name.
+ * Each embedder exposes an `id` (stored alongside vectors so we never compare
+ * vectors from different models) and an async `embed(texts)` method.
+ */
+const embedders = new Map();
+
+let activeEmbedder = null;
+
+/**
+ * Split text into lowercase tokens, breaking camelCase and snake_case identifiers
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+    return text
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(token => token.length > 1);
+}
+
+/**
+ * Deterministic, network-free embedder using signed feature hashing.
+ * Good enough to rank code chunks by shared vocabulary, and stable across runs.
+ */
+function createLocalEmbedder() {
+    return {
+        id: `local-hash-${LOCAL_DIMENSIONS}`,
+        async embed(texts) {
+            return texts.map(text => {
+                const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+                const tokens = tokenize(text);
+
+                // Unigrams plus bigrams so "user service" differs from "service user"
+                const features = [...tokens];
+                for (let i = 0; i < tokens.length - 1; i++) {
+                    features.push(`${tokens[i]}_${tokens[i + 1]}`);
+                }
+
+                for (const feature of features) {
+                    const hash = crypto.createHash('md5').update(feature).digest();
+                    const index = hash.readUInt32BE(0) % LOCAL_DIMENSIONS;
+                    const sign = hash[4] & 1 ? 1 : -1;
+                    vector[index] += sign;
+                }
+
+                return normalize(vector);
+            });
+        }
+    };
+}
+
+/**
+ * Embedder backed by the OpenAI embeddings API
+ */
+function createOpenAIEmbedder() {
+    const model = process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+    let client = null;
+
+    return {
+        id: `openai-${model}`,
+        async embed(texts) {
+            if (!client) {
+                if (!process.env.OPENAI_API_KEY) {
+                    throw new Error('OPENAI_API_KEY is not set in environment variables. Please add it to your .env file.');
+                }
+                client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+            }
+
+            const vectors = [];
+            for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+                const batch = texts.slice(i, i + BATCH_SIZE);
+                const response = await client.embeddings.create({ model, input: batch });
+                vectors.push(...response.data.map(item => item.embedding));
+            }
+            return vectors;
+        }
+    };
+}
+
+registerEmbedder('local', createLocalEmbedder);
+registerEmbedder('openai', createOpenAIEmbedder);
+
+/**
+ * Register an embedder factory under a provider name
+ * @param {string} name - Provider name used in EMBEDDING_PROVIDER
+ * @param {Function} factory - Returns { id, embed(texts) }
+ */
+export function registerEmbedder(name, factory) {
+    embedders.set(name, factory);
+}
+
+/**
+ * Override the active embedder (useful for tests)
+ * @param {{id: string, embed: Function}|null} embedder - Pass null to reset to config
+ */
+export function setEmbedder(embedder) {
+    activeEmbedder = embedder;
+}
+
+/**
+ * Get the embedder selected by EMBEDDING_PROVIDER.
+ * Defaults to OpenAI when the OpenAI LLM provider has an API key, otherwise
+ * the local embedder (so local and mock LLM setups stay offline).
+ * @returns {{id: string, embed: Function}}
+ */
+export function getEmbedder() {
+    if (!activeEmbedder) {
+        const usesOpenAI = (process.env.LLM_PROVIDER || 'openai') === 'openai' && process.env.OPENAI_API_KEY;
+        const name = process.env.EMBEDDING_PROVIDER || (usesOpenAI ? 'openai' : 'local');
+        const factory = embedders.get(name);
+
+        if (!factory) {
+            throw new Error(`Unknown embedding provider "${name}". Available: ${[...embedders.keys()].join(', ')}`);
+        }
+        activeEmbedder = factory();
+    }
+    return activeEmbedder;
+}
+
+/**
+ * Scale a vector to unit length
+ * @param {Array<number>} vector
+ * @returns {Array<number>}
+ */
+function normalize(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm === 0 ? vector : vector.map(v => v / norm);
+}
+
+/**
+ * Cosine similarity between two vectors of equal length
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number}
+ */
+export function cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) {
+        return 0;
+    }
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    if (normA === 0 || normB === 0) {
+        return 0;
+    }
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
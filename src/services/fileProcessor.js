@@ -1,6 +1,10 @@
 import fs from 'fs';
 import path from 'path';
-import { glob } from 'glob';
+import ignore from 'ignore';
+import { minimatch } from 'minimatch';
+import { chunkCode, extractSymbols } from './codeChunker.js';
+import { extractImports } from './dependencyGraph.js';
+import { isBinary, classifyContent, SKIPPED_CATEGORIES } from './contentClassifier.js';
 
 // Supported code file extensions
 const CODE_EXTENSIONS = {
@@ -59,64 +63,314 @@ const IGNORE_DIRS = [
     'vendor'
 ];
 
+// Lockfiles match supported extensions but carry no useful code
+const LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json', 'pnpm-lock.yaml', 'composer.lock'];
+
+// Optional per-repo config at the repository root: { "include": [...], "exclude": [...] }
+const REPO_CONFIG_FILE = '.repomind.json';
+
+// Skip files larger than 1MB to avoid memory issues
+const MAX_FILE_SIZE = 1024 * 1024;
+
+// Skipped paths listed individually in the report (counts are always complete)
+const MAX_REPORTED_SKIPS = 1000;
+
 /**
- * Process all code files in a directory
+ * Process all code files in a directory.
+ * Honors IGNORE_DIRS, every .gitignore in the tree, the repo's .repomind.json
+ * and request-level include/exclude globs. Binary, minified and source map
+ * files are skipped; generated and vendored files are kept with a `category`
+ * so retrieval can rank them below hand-written code.
  * @param {string} dirPath - Path to directory
- * @returns {Promise<{files: Array, totalSize: number}>}
+ * @param {Object} [options]
+ * @param {Array<string>} [options.include] - Globs a file must match (any) to be ingested
+ * @param {Array<string>} [options.exclude] - Globs that keep a file out
+ * @returns {Promise<{files: Array, totalSize: number, report: Object}>} - Each file
+ *   carries its syntax-aware `chunks` with exact 1-based line ranges and the
+ *   `symbols` it declares and the `imports` it makes; `report`
+ *   lists what was skipped and why, and counts files per content category
  */
-export async function processCodeFiles(dirPath) {
+export async function processCodeFiles(dirPath, options = {}) {
     const files = [];
     let totalSize = 0;
 
-    // Build glob pattern for supported extensions
-    const extensions = Object.keys(CODE_EXTENSIONS).map(ext => ext.slice(1));
-    const pattern = `**/*.{${extensions.join(',')}}`;
-
-    // Find all code files
-    const filePaths = await glob(pattern, {
-        cwd: dirPath,
-        ignore: IGNORE_DIRS.map(dir => `**/${dir}/**`),
-        nodir: true,
-        absolute: false
-    });
+    const report = createReport();
+    const repoConfig = loadRepoConfig(dirPath, report);
+    const rules = {
+        configInclude: repoConfig.include,
+        configExclude: repoConfig.exclude,
+        requestInclude: options.include || [],
+        requestExclude: options.exclude || []
+    };
 
-    for (const filePath of filePaths) {
+    for (const filePath of walkDirectory(dirPath, report)) {
         const fullPath = path.join(dirPath, filePath);
 
+        const reason = filterReason(filePath, rules);
+        if (reason) {
+            recordSkip(report, filePath, reason);
+            continue;
+        }
+
         try {
             const stats = fs.statSync(fullPath);
 
-            // Skip files larger than 1MB to avoid memory issues
-            if (stats.size > 1024 * 1024) {
+            if (stats.size > MAX_FILE_SIZE) {
+                recordSkip(report, filePath, 'too_large');
+                continue;
+            }
+
+            const buffer = fs.readFileSync(fullPath);
+            if (isBinary(buffer)) {
+                recordCategory(report, 'binary');
+                recordSkip(report, filePath, 'binary');
                 continue;
             }
 
-            const content = fs.readFileSync(fullPath, 'utf-8');
+            const content = buffer.toString('utf-8');
 
             // Skip empty files — Mongoose requires content to be non-empty
             if (!content || !content.trim()) {
+                recordSkip(report, filePath, 'empty');
                 continue;
             }
 
             const ext = path.extname(filePath).toLowerCase();
             const language = CODE_EXTENSIONS[ext] || 'text';
 
+            const category = classifyContent(filePath, content, language);
+            if (category) {
+                recordCategory(report, category);
+            }
+            if (SKIPPED_CATEGORIES.includes(category)) {
+                recordSkip(report, filePath, category);
+                continue;
+            }
+
             files.push({
                 relativePath: filePath,
                 content,
                 language,
-                size: stats.size
+                size: stats.size,
+                category,
+                chunks: chunkCode(content, language),
+                symbols: extractSymbols(content, language),
+                imports: extractImports(content, language)
             });
 
             totalSize += stats.size;
 
         } catch (error) {
             console.error(`Error processing file ${filePath}:`, error.message);
+            recordSkip(report, filePath, 'read_error');
             // Continue processing other files
         }
     }
 
-    return { files, totalSize };
+    report.included = files.length;
+    return { files, totalSize, report };
+}
+
+/**
+ * Empty ingestion report
+ * @returns {Object}
+ */
+function createReport() {
+    return {
+        included: 0,
+        config: null,
+        skipped: { counts: {}, files: [], truncated: false },
+        // binary/minified/source_map (skipped) and generated/vendored (kept, low priority)
+        categories: {},
+        warnings: []
+    };
+}
+
+/**
+ * Count a file flagged by the content classifier
+ * @param {Object} report
+ * @param {string} category
+ */
+function recordCategory(report, category) {
+    report.categories[category] = (report.categories[category] || 0) + 1;
+}
+
+/**
+ * Count a skipped path (directories end with "/") under its reason
+ * @param {Object} report
+ * @param {string} filePath
+ * @param {string} reason
+ */
+function recordSkip(report, filePath, reason) {
+    const { skipped } = report;
+    skipped.counts[reason] = (skipped.counts[reason] || 0) + 1;
+
+    if (skipped.files.length < MAX_REPORTED_SKIPS) {
+        skipped.files.push({ path: filePath, reason });
+    } else {
+        skipped.truncated = true;
+    }
+}
+
+/**
+ * Read the optional repo-level config file
+ * @param {string} dirPath
+ * @param {Object} report
+ * @returns {{include: Array<string>, exclude: Array<string>}}
+ */
+function loadRepoConfig(dirPath, report) {
+    const configPath = path.join(dirPath, REPO_CONFIG_FILE);
+    if (!fs.existsSync(configPath)) {
+        return { include: [], exclude: [] };
+    }
+
+    try {
+        const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+        report.config = REPO_CONFIG_FILE;
+        return {
+            include: Array.isArray(config.include) ? config.include : [],
+            exclude: Array.isArray(config.exclude) ? config.exclude : []
+        };
+    } catch (error) {
+        report.warnings.push(`Ignoring ${REPO_CONFIG_FILE}: ${error.message}`);
+        return { include: [], exclude: [] };
+    }
+}
+
+/**
+ * Walk a directory tree, yielding relative file paths (with "/" separators).
+ * Ignored directories, .gitignore'd paths, hidden entries and symlinks are
+ * recorded in the report and not descended into.
+ * @param {string} rootPath
+ * @param {Object} report
+ * @returns {Generator<string>}
+ */
+function* walkDirectory(rootPath, report) {
+    // Each .gitignore applies to paths relative to its own directory
+    const stack = [{ dir: '', matchers: [] }];
+
+    while (stack.length > 0) {
+        const { dir, matchers: parentMatchers } = stack.pop();
+        const absoluteDir = path.join(rootPath, dir);
+
+        let matchers = parentMatchers;
+        const gitignorePath = path.join(absoluteDir, '.gitignore');
+        if (fs.existsSync(gitignorePath)) {
+            const matcher = ignore().add(fs.readFileSync(gitignorePath, 'utf-8'));
+            matchers = [...parentMatchers, { base: dir, matcher }];
+        }
+
+        let entries;
+        try {
+            entries = fs.readdirSync(absoluteDir, { withFileTypes: true });
+        } catch (error) {
+            recordSkip(report, `${dir}/`, 'read_error');
+            continue;
+        }
+
+        for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+            const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+            const isDirectory = entry.isDirectory();
+            const displayPath = isDirectory ? `${relativePath}/` : relativePath;
+
+            if (entry.name === '.gitignore') {
+                continue;
+            }
+
+            if (entry.isSymbolicLink()) {
+                recordSkip(report, displayPath, 'symlink');
+                continue;
+            }
+
+            if (isDirectory && IGNORE_DIRS.includes(entry.name)) {
+                recordSkip(report, displayPath, 'ignored_directory');
+                continue;
+            }
+
+            if (isGitignored(matchers, relativePath, isDirectory)) {
+                recordSkip(report, displayPath, 'gitignore');
+                continue;
+            }
+
+            if (entry.name.startsWith('.')) {
+                if (entry.name !== REPO_CONFIG_FILE) {
+                    recordSkip(report, displayPath, 'hidden');
+                }
+                continue;
+            }
+
+            if (isDirectory) {
+                stack.push({ dir: relativePath, matchers });
+            } else if (entry.isFile()) {
+                yield relativePath;
+            }
+        }
+    }
+}
+
+/**
+ * Check a path against the .gitignore files that apply to it
+ * @param {Array<{base: string, matcher: Object}>} matchers
+ * @param {string} relativePath - Relative to the walk root
+ * @param {boolean} isDirectory
+ * @returns {boolean}
+ */
+function isGitignored(matchers, relativePath, isDirectory) {
+    return matchers.some(({ base, matcher }) => {
+        const local = base ? relativePath.slice(base.length + 1) : relativePath;
+        return matcher.ignores(isDirectory ? `${local}/` : local);
+    });
+}
+
+/**
+ * Test a path against a list of globs. Patterns without a "/" match the
+ * file name anywhere in the tree; a trailing "/" means "everything inside".
+ * @param {string} filePath
+ * @param {Array<string>} patterns
+ * @returns {boolean}
+ */
+function matchesAny(filePath, patterns) {
+    return patterns.some(pattern => {
+        const glob = pattern.endsWith('/') ? `${pattern}**` : pattern;
+        return minimatch(filePath, glob, { dot: true, matchBase: !glob.includes('/') });
+    });
+}
+
+/**
+ * Why a file should not be ingested, or null if it should
+ * @param {string} filePath
+ * @param {Object} rules - configInclude/configExclude/requestInclude/requestExclude
+ * @returns {string|null}
+ */
+function filterReason(filePath, rules) {
+    if (LOCKFILES.includes(path.basename(filePath))) return 'lockfile';
+    if (matchesAny(filePath, rules.configExclude)) return 'config_exclude';
+    if (matchesAny(filePath, rules.requestExclude)) return 'request_exclude';
+    if (rules.configInclude.length > 0 && !matchesAny(filePath, rules.configInclude)) return 'not_included';
+    if (rules.requestInclude.length > 0 && !matchesAny(filePath, rules.requestInclude)) return 'not_included';
+    if (!CODE_EXTENSIONS[path.extname(filePath).toLowerCase()]) return 'unsupported_extension';
+    return null;
+}
+
+/**
+ * Normalize an include/exclude list from a request body. Accepts an array,
+ * a JSON array string (multipart form fields) or a comma-separated string.
+ * @param {Array<string>|string|undefined} value
+ * @returns {Array<string>}
+ */
+export function parseGlobList(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value.map(String).map(s => s.trim()).filter(Boolean);
+
+    const text = String(value).trim();
+    if (text.startsWith('[')) {
+        try {
+            return parseGlobList(JSON.parse(text));
+        } catch {
+            // Fall through to comma splitting
+        }
+    }
+    return text.split(',').map(s => s.trim()).filter(Boolean);
 }
 
 /**
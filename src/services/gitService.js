@@ -0,0 +1,345 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import simpleGit from 'simple-git';
+import { envInt } from '../config.js';
+
+// https://github.com/owner/repo[.git][/tree/<ref>[/<path>]]
+const GITHUB_URL_REGEX = /^https?:\/\/(?:www\.)?github\.com\/([\w-]+)\/([\w.-]+?)(?:\.git)?(?:\/tree\/(.+?))?\/?$/;
+
+// git@host:owner/repo.git
+const SCP_LIKE_REGEX = /^([\w.-]+@)?([\w.-]+):(?!\/\/)([\w./~-]+)$/;
+
+// Kill git operations that stall (e.g. a server that never answers);
+// GIT_TIMEOUT_MS overrides it
+const DEFAULT_GIT_TIMEOUT_MS = 10 * 60 * 1000;
+
+const FULL_SHA_REGEX = /^[0-9a-f]{40}$/i;
+const SHORT_SHA_REGEX = /^[0-9a-f]{7,39}$/i;
+
+/**
+ * Parse a GitHub repository or tree URL
+ * @param {string} url
+ * @returns {{repoUrl: string, owner: string, repo: string, treePath: string|null}|null}
+ *   `treePath` is everything after /tree/ — ref and subdirectory still joined,
+ *   since branch names may contain slashes (see resolveTreePath)
+ */
+export function parseGitHubUrl(url) {
+    const match = String(url || '').trim().match(GITHUB_URL_REGEX);
+    if (!match) return null;
+
+    const [, owner, repo, treePath] = match;
+    return {
+        repoUrl: `https://github.com/${owner}/${repo}`,
+        owner,
+        repo,
+        treePath: treePath ? decodeURIComponent(treePath) : null
+    };
+}
+
+/**
+ * Validate any git remote: https, ssh (ssh:// or git@host:path) or file://
+ * on the GIT_FILE_ALLOWLIST
+ * @param {string} url
+ * @returns {{repoUrl: string, protocol: string, host: string|null, name: string}}
+ * @throws {Error} With a message suitable for a 400 response
+ */
+export function parseGitRemote(url) {
+    const repoUrl = String(url || '').trim();
+
+    if (!repoUrl) {
+        throw new Error('Repository URL is required');
+    }
+    // A leading dash would be read by git as an option
+    if (repoUrl.startsWith('-')) {
+        throw new Error('Invalid repository URL');
+    }
+
+    const name = (repoUrl.replace(/\/+$/, '').split(/[/:]/).pop() || 'repository').replace(/\.git$/, '');
+
+    const scpLike = repoUrl.match(SCP_LIKE_REGEX);
+    if (scpLike && !repoUrl.includes('://')) {
+        return { repoUrl, protocol: 'ssh', host: scpLike[2], name };
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(repoUrl);
+    } catch {
+        throw new Error('Unsupported repository URL. Use https://, ssh://, git@host:path or file://');
+    }
+
+    if (parsed.protocol === 'https:' || parsed.protocol === 'http:') {
+        if (parsed.username || parsed.password) {
+            throw new Error('Credentials must not be embedded in the repository URL; configure a deploy key and use ssh instead');
+        }
+        return { repoUrl, protocol: 'https', host: parsed.hostname, name };
+    }
+
+    if (parsed.protocol === 'ssh:') {
+        return { repoUrl, protocol: 'ssh', host: parsed.hostname, name };
+    }
+
+    if (parsed.protocol === 'file:') {
+        // realpath so a symlink inside an allowed directory cannot point out of it
+        let localPath = path.resolve(fileURLToPath(parsed));
+        if (fs.existsSync(localPath)) {
+            localPath = fs.realpathSync(localPath);
+        }
+        const allowlist = (process.env.GIT_FILE_ALLOWLIST || '')
+            .split(',')
+            .map(dir => dir.trim())
+            .filter(Boolean)
+            .map(dir => fs.existsSync(dir) ? fs.realpathSync(dir) : path.resolve(dir));
+
+        const allowed = allowlist.some(dir => localPath === dir || localPath.startsWith(dir + path.sep));
+        if (!allowed) {
+            throw new Error('file:// repositories must be inside a directory listed in GIT_FILE_ALLOWLIST');
+        }
+        return { repoUrl, protocol: 'file', host: null, name };
+    }
+
+    throw new Error(`Unsupported repository protocol "${parsed.protocol}". Use https://, ssh://, git@host:path or file://`);
+}
+
+/**
+ * Deploy key configured for an ssh host: GIT_SSH_KEYS (JSON map of host to
+ * key path) first, then GIT_SSH_KEY_PATH for every host
+ * @param {string} host
+ * @returns {string|null}
+ */
+function deployKeyFor(host) {
+    if (process.env.GIT_SSH_KEYS) {
+        try {
+            const keys = JSON.parse(process.env.GIT_SSH_KEYS);
+            if (keys[host]) return keys[host];
+        } catch (error) {
+            console.warn(`⚠️  Ignoring malformed GIT_SSH_KEYS: ${error.message}`);
+        }
+    }
+    return process.env.GIT_SSH_KEY_PATH || null;
+}
+
+/**
+ * simple-git instance for talking to a remote: ssh remotes get their deploy
+ * key through GIT_SSH_COMMAND, and every operation gets a timeout
+ * @param {string} repoUrl
+ * @param {string} [baseDir]
+ * @returns {import('simple-git').SimpleGit}
+ */
+function gitFor(repoUrl, baseDir) {
+    const timeout = envInt('GIT_TIMEOUT_MS', DEFAULT_GIT_TIMEOUT_MS);
+    const git = simpleGit({ ...(baseDir ? { baseDir } : {}), timeout: { block: timeout } });
+
+    let remote;
+    try {
+        remote = parseGitRemote(repoUrl);
+    } catch {
+        return git;
+    }
+    if (remote.protocol !== 'ssh') {
+        return git;
+    }
+
+    // Without a deploy key ssh falls back to the server user's own keys
+    const keyPath = deployKeyFor(remote.host);
+    const identity = keyPath ? `-i "${keyPath}" -o IdentitiesOnly=yes ` : '';
+    const hostKeyChecking = process.env.GIT_SSH_STRICT_HOST_KEY_CHECKING || 'accept-new';
+
+    // BatchMode: fail instead of prompting for a passphrase or password
+    return git.env({
+        ...process.env,
+        GIT_TERMINAL_PROMPT: '0',
+        GIT_SSH_COMMAND: `ssh ${identity}-o BatchMode=yes -o StrictHostKeyChecking=${hostKeyChecking}`
+    });
+}
+
+/**
+ * Translate git's stderr into an error a user can act on
+ * @param {Error} error - From simple-git
+ * @returns {Error}
+ */
+export function describeGitError(error) {
+    const message = error.message || '';
+
+    const known = [
+        [/timed? ?out|block timeout/i, 'Timed out talking to the git server'],
+        [/could not resolve host|name or service not known/i, 'Could not resolve the git server host name'],
+        [/permission denied \(publickey|host key verification failed/i, 'SSH authentication failed — check the deploy key for this host'],
+        [/authentication failed|could not read username|terminal prompts disabled|401|403/i, 'Authentication failed — the repository may be private'],
+        [/remote branch .* not found|couldn't find remote ref|not our ref|did not match any|was not found in the repository/i, 'The requested branch, tag or commit was not found'],
+        [/repository .*not found|not found|does not appear to be a git repository|does not exist/i, 'Repository not found'],
+        [/connection refused|unable to access/i, 'Could not connect to the git server']
+    ];
+
+    const match = known.find(([pattern]) => pattern.test(message));
+    const summary = match ? match[1] : 'Failed to clone repository';
+    // git puts the useful line after "fatal:"; later lines are often boilerplate
+    const lines = message.split('\n').map(line => line.trim()).filter(Boolean);
+    const detail = lines.find(line => /^fatal:/.test(line)) || lines[lines.length - 1];
+
+    return new Error(detail && detail !== summary ? `${summary} (${detail})` : summary);
+}
+
+/**
+ * List the branches and tags of a remote
+ * @param {string} repoUrl
+ * @returns {Promise<Map<string, {type: string, sha: string}>>} - Keyed by short ref name
+ */
+async function listRemoteRefs(repoUrl) {
+    const output = await gitFor(repoUrl).listRemote(['--heads', '--tags', repoUrl]);
+    const refs = new Map();
+
+    for (const line of output.split('\n')) {
+        const [sha, fullRef] = line.trim().split(/\s+/);
+        if (!sha || !fullRef) continue;
+
+        const branch = fullRef.match(/^refs\/heads\/(.+)$/);
+        const tag = fullRef.match(/^refs\/tags\/(.+?)(\^\{\})?$/);
+        if (branch) refs.set(branch[1], { type: 'branch', sha });
+        // Annotated tags are listed twice; the peeled (^{}) entry is the commit
+        if (tag && (tag[2] || !refs.has(tag[1]))) refs.set(tag[1], { type: 'tag', sha });
+    }
+
+    return refs;
+}
+
+/**
+ * Work out what kind of ref a name is
+ * @param {string} repoUrl
+ * @param {string} ref
+ * @returns {Promise<'branch'|'tag'|'commit'>}
+ */
+export async function resolveRefType(repoUrl, ref) {
+    const refs = await listRemoteRefs(repoUrl);
+    if (refs.has(ref)) return refs.get(ref).type;
+    if (FULL_SHA_REGEX.test(ref) || SHORT_SHA_REGEX.test(ref)) return 'commit';
+
+    throw new Error(`Ref "${ref}" was not found in the repository`);
+}
+
+/**
+ * Split the part of a tree URL after /tree/ into ref and subdirectory.
+ * The longest prefix naming a branch or tag wins; otherwise the first
+ * segment is taken as the ref (usually a commit SHA).
+ * @param {string} repoUrl
+ * @param {string} treePath
+ * @returns {Promise<{ref: string, subPath: string|null}>}
+ */
+export async function resolveTreePath(repoUrl, treePath) {
+    const segments = treePath.split('/').filter(Boolean);
+    const refs = await listRemoteRefs(repoUrl);
+
+    for (let i = segments.length; i > 0; i--) {
+        const candidate = segments.slice(0, i).join('/');
+        if (refs.has(candidate)) {
+            return { ref: candidate, subPath: segments.slice(i).join('/') || null };
+        }
+    }
+
+    return { ref: segments[0], subPath: segments.slice(1).join('/') || null };
+}
+
+/**
+ * Clone a repository, optionally at a specific branch, tag or commit
+ * @param {string} repoUrl
+ * @param {string} destination
+ * @param {Object} [options]
+ * @param {string} [options.ref] - Branch, tag or commit SHA; default branch when omitted
+ * @param {string} [options.refType] - Result of resolveRefType, when already known
+ * @returns {Promise<{commitSha: string, refType: string|null}>}
+ */
+export async function cloneRepository(repoUrl, destination, { ref, refType } = {}) {
+    if (!ref) {
+        await gitFor(repoUrl).clone(repoUrl, destination, ['--depth', '1']);
+        return { commitSha: await getHeadCommit(destination), refType: null };
+    }
+
+    const type = refType || await resolveRefType(repoUrl, ref);
+
+    if (type === 'commit') {
+        fs.mkdirSync(destination, { recursive: true });
+        const git = gitFor(repoUrl, destination);
+        await git.init();
+        await git.addRemote('origin', repoUrl);
+
+        if (FULL_SHA_REGEX.test(ref)) {
+            // Servers allow fetching a single commit by its full SHA
+            await git.fetch(['--depth', '1', 'origin', ref]);
+            await git.checkout(['--detach', 'FETCH_HEAD']);
+        } else {
+            // Abbreviated SHAs can only be resolved against full history
+            await git.fetch(['origin']);
+            // --quiet: an unknown or ambiguous SHA prints nothing rather than failing
+            const sha = (await git.revparse(['--verify', '--quiet', `${ref}^{commit}`])).trim();
+            if (!sha) {
+                throw new Error(`Commit "${ref}" was not found in the repository`);
+            }
+            await git.checkout(['--detach', sha]);
+        }
+    } else {
+        await gitFor(repoUrl).clone(repoUrl, destination, ['--depth', '1', '--branch', ref]);
+    }
+
+    return { commitSha: await getHeadCommit(destination), refType: type };
+}
+
+/**
+ * SHA of the commit checked out in a clone
+ * @param {string} repoPath
+ * @returns {Promise<string>}
+ */
+export async function getHeadCommit(repoPath) {
+    return (await simpleGit(repoPath).revparse(['HEAD'])).trim();
+}
+
+/**
+ * Resolve a subdirectory inside a clone, refusing paths that escape it —
+ * textually (../) or through symlinks, which the repository controls
+ * @param {string} rootPath
+ * @param {string|null} subPath
+ * @returns {string} - Absolute directory to ingest
+ */
+export function resolveSubdirectory(rootPath, subPath) {
+    if (!subPath) return rootPath;
+
+    const resolved = path.resolve(rootPath, subPath);
+    if (!isInside(rootPath, resolved)) {
+        throw new Error('Subdirectory path must stay inside the repository');
+    }
+    if (!fs.existsSync(resolved)) {
+        throw new Error(`Subdirectory "${subPath}" does not exist in the repository`);
+    }
+    if (fs.lstatSync(resolved).isSymbolicLink()) {
+        throw new Error('Subdirectory path must not be a symlink');
+    }
+    // A symlinked parent (docs -> / with path docs/etc) can still lead outside
+    if (!isInside(fs.realpathSync(rootPath), fs.realpathSync(resolved))) {
+        throw new Error('Subdirectory path must stay inside the repository');
+    }
+    if (!fs.statSync(resolved).isDirectory()) {
+        throw new Error(`Subdirectory "${subPath}" does not exist in the repository`);
+    }
+
+    return resolved;
+}
+
+/**
+ * Whether `target` is `root` or lies below it
+ * @param {string} root
+ * @param {string} target
+ * @returns {boolean}
+ */
+function isInside(root, target) {
+    return target === root || target.startsWith(root + path.sep);
+}
+
+/**
+ * Normalize a user-supplied subdirectory ("./src/" → "src")
+ * @param {string} subPath
+ * @returns {string|null}
+ */
+export function normalizeSubPath(subPath) {
+    const normalized = String(subPath || '').replace(/\\/g, '/').replace(/^\.?\/+|\/+$/g, '');
+    return normalized || null;
+}
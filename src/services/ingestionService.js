@@ -0,0 +1,277 @@
+import { v4 as uuidv4 } from 'uuid';
+import {
+    insertCodebase,
+    insertCodeFile,
+    updateCodebaseStats,
+    updateCodebaseCommit,
+    updateCodebaseOverview,
+    deleteCodebase,
+    getCodebaseFiles,
+    deleteCodeFiles,
+    insertCodeSymbols,
+    replaceCodebaseDependencies,
+    insertIngestionJob,
+    updateIngestionJob
+} from '../models/database.js';
+import { indexCodebaseFiles, refreshCodebaseIndex } from './retrievalService.js';
+import { resolveDependencies } from './dependencyGraph.js';
+import { buildOverview } from './overviewService.js';
+
+// Persist files_processed at most once per this many files
+const PROGRESS_INTERVAL = 25;
+
+/**
+ * Create an ingestion job and run it in the background.
+ * `run` receives a progress reporter and returns the job result; if it
+ * throws, the job is marked failed and any partially stored codebase is removed.
+ * @param {string} type - 'zip', 'github', 'github-split', ...
+ * @param {string} codebaseId - Codebase the job creates or updates
+ * @param {Function} run - async (progress) => result
+ * @param {Object} [options]
+ * @param {Function} [options.cleanup] - Called once the job settles, success or not
+ * @param {boolean} [options.keepCodebaseOnFailure] - Set for jobs that update an existing codebase
+ * @returns {Promise<string>} - Job ID
+ */
+export async function startIngestionJob(type, codebaseId, run, { cleanup, keepCodebaseOnFailure = false } = {}) {
+    const jobId = uuidv4();
+    await insertIngestionJob(jobId, codebaseId, type);
+
+    // Detached on purpose: the HTTP request returns the job id right away
+    setImmediate(() => {
+        runJob(jobId, codebaseId, run, { cleanup, keepCodebaseOnFailure });
+    });
+
+    return jobId;
+}
+
+/**
+ * Execute a job, recording its outcome
+ * @param {string} jobId
+ * @param {string} codebaseId
+ * @param {Function} run
+ * @param {Object} options - See startIngestionJob
+ */
+async function runJob(jobId, codebaseId, run, { cleanup, keepCodebaseOnFailure }) {
+    try {
+        let result;
+        try {
+            await updateIngestionJob(jobId, { status: 'running' });
+            result = await run(createProgressReporter(jobId));
+        } catch (error) {
+            await recordJobFailure(jobId, codebaseId, error, keepCodebaseOnFailure);
+            return;
+        }
+
+        // The codebase is stored by now; failing to record that must not roll it back
+        try {
+            await updateIngestionJob(jobId, {
+                status: 'completed',
+                phase: 'done',
+                result,
+                finished_at: new Date()
+            });
+            console.log(`✅ Ingestion job ${jobId} completed (${result.fileCount} files)`);
+        } catch (recordError) {
+            console.error(`❌ Could not record completion of job ${jobId}:`, recordError.message);
+        }
+
+    } finally {
+        if (cleanup) {
+            cleanup();
+        }
+    }
+}
+
+/**
+ * Mark a job failed and remove the partially stored codebase, unless the job
+ * updates an existing one
+ * @param {string} jobId
+ * @param {string} codebaseId
+ * @param {Error} error - Why ingestion failed
+ * @param {boolean} keepCodebase
+ */
+async function recordJobFailure(jobId, codebaseId, error, keepCodebase) {
+    console.error(`❌ Ingestion job ${jobId} failed:`, error.message);
+
+    try {
+        if (!keepCodebase) {
+            // The job itself is kept so its status still explains the failure
+            await deleteCodebase(codebaseId, { keepJobs: true });
+        }
+        await updateIngestionJob(jobId, {
+            status: 'failed',
+            error: error.message || 'Ingestion failed',
+            error_reason: error.reason,
+            finished_at: new Date()
+        });
+    } catch (recordError) {
+        console.error(`❌ Could not record failure of job ${jobId}:`, recordError.message);
+    }
+}
+
+/**
+ * Progress reporter handed to job runners
+ * @param {string} jobId
+ * @returns {{phase: Function, filesProcessed: Function}}
+ */
+function createProgressReporter(jobId) {
+    let total = 0;
+
+    return {
+        /**
+         * Enter a new phase, optionally setting the total file count
+         * @param {string} phase
+         * @param {number} [filesTotal]
+         */
+        async phase(phase, filesTotal) {
+            const fields = { phase };
+            if (filesTotal !== undefined) {
+                total = filesTotal;
+                fields.files_total = filesTotal;
+                fields.files_processed = 0;
+            }
+            await updateIngestionJob(jobId, fields);
+        },
+
+        /**
+         * Record how many files have been stored so far
+         * @param {number} count
+         */
+        async filesProcessed(count) {
+            if (count % PROGRESS_INTERVAL === 0 || count === total) {
+                await updateIngestionJob(jobId, { files_processed: count });
+            }
+        }
+    };
+}
+
+/**
+ * Flatten the symbols of processed files into symbol records
+ * @param {Array} files - Output of processCodeFiles
+ * @returns {Array}
+ */
+function collectSymbols(files) {
+    return files.flatMap(file => (file.symbols || []).map(symbol => ({
+        ...symbol,
+        filePath: file.relativePath,
+        language: file.language
+    })));
+}
+
+/**
+ * Store processed files as a new codebase and build its search index
+ * @param {Object} options
+ * @param {string} options.codebaseId
+ * @param {string} options.name
+ * @param {string} options.source - 'upload', 'github', ...
+ * @param {Array} options.files - Output of processCodeFiles
+ * @param {number} options.totalSize
+ * @param {Object} [options.details] - Extra Codebase fields (repo_url, commit_sha, ...)
+ * @param {Object} progress - Reporter from startIngestionJob
+ * @returns {Promise<{codebaseId: string, name: string, fileCount: number, totalSize: number}>}
+ */
+export async function storeCodebase({ codebaseId, name, source, files, totalSize, details = {} }, progress) {
+    await progress.phase('storing', files.length);
+    await insertCodebase(codebaseId, name, source, details);
+
+    for (let i = 0; i < files.length; i++) {
+        const file = files[i];
+        await insertCodeFile(
+            codebaseId,
+            file.relativePath,
+            file.content,
+            file.language,
+            file.size,
+            file.category
+        );
+        await progress.filesProcessed(i + 1);
+    }
+
+    await updateCodebaseStats(codebaseId, files.length, totalSize);
+
+    await progress.phase('indexing');
+    await insertCodeSymbols(codebaseId, collectSymbols(files));
+    const dependencies = resolveDependencies(files);
+    await replaceCodebaseDependencies(codebaseId, dependencies);
+    await updateCodebaseOverview(codebaseId, buildOverview(files, dependencies));
+    await indexCodebaseFiles(codebaseId, files);
+
+    return {
+        codebaseId,
+        name,
+        fileCount: files.length,
+        totalSize
+    };
+}
+
+/**
+ * Update an existing codebase to match a fresh set of processed files,
+ * touching only the files that were added, changed or deleted
+ * @param {Object} codebase - Codebase document
+ * @param {Array} files - Output of processCodeFiles for the new snapshot
+ * @param {number} totalSize
+ * @param {string} commitSha - Commit the new snapshot was taken from
+ * @param {Object} progress - Reporter from startIngestionJob
+ * @returns {Promise<Object>} - Counts of added, changed, deleted and unchanged files
+ */
+export async function syncCodebaseFiles(codebase, files, totalSize, commitSha, progress) {
+    const codebaseId = codebase._id;
+
+    await progress.phase('comparing');
+    const storedFiles = await getCodebaseFiles(codebaseId);
+    const storedByPath = new Map(storedFiles.map(file => [file.file_path, file]));
+    const incomingPaths = new Set(files.map(file => file.relativePath));
+
+    const added = files.filter(file => !storedByPath.has(file.relativePath));
+    const changed = files.filter(file => {
+        const stored = storedByPath.get(file.relativePath);
+        return stored && stored.content !== file.content;
+    });
+    const deletedPaths = storedFiles
+        .map(file => file.file_path)
+        .filter(filePath => !incomingPaths.has(filePath));
+
+    // Replace changed files wholesale: drop the old documents, then insert fresh ones
+    await deleteCodeFiles(codebaseId, [...deletedPaths, ...changed.map(file => file.relativePath)]);
+
+    const upserts = [...added, ...changed];
+    await progress.phase('storing', upserts.length);
+    for (let i = 0; i < upserts.length; i++) {
+        const file = upserts[i];
+        await insertCodeFile(
+            codebaseId,
+            file.relativePath,
+            file.content,
+            file.language,
+            file.size,
+            file.category
+        );
+        await progress.filesProcessed(i + 1);
+    }
+
+    await updateCodebaseStats(codebaseId, files.length, totalSize);
+
+    await progress.phase('indexing');
+    // Symbols of changed files went with deleteCodeFiles; re-add them
+    await insertCodeSymbols(codebaseId, collectSymbols(upserts));
+    // Any change can alter what other files' imports resolve to
+    const dependencies = resolveDependencies(files);
+    await replaceCodebaseDependencies(codebaseId, dependencies);
+    await updateCodebaseOverview(codebaseId, buildOverview(files, dependencies));
+    await refreshCodebaseIndex(codebase, files, upserts);
+
+    await updateCodebaseCommit(codebaseId, commitSha);
+
+    return {
+        codebaseId,
+        name: codebase.name,
+        commitSha,
+        previousCommitSha: codebase.commit_sha || null,
+        fileCount: files.length,
+        totalSize,
+        added: added.length,
+        changed: changed.length,
+        deleted: deletedPaths.length,
+        unchanged: files.length - added.length - changed.length
+    };
+}
@@ -0,0 +1,365 @@
+import path from 'path';
+
+// Entries kept in each ranked list of the overview
+const MAX_LARGEST_MODULES = 10;
+const MAX_ENTRY_POINTS = 15;
+
+// Languages that are not code; they count as files but not in the code breakdown
+const NON_CODE_LANGUAGES = ['text', 'markdown', 'json', 'yaml', 'xml'];
+
+// Package names that identify a framework or notable tool, per ecosystem
+const FRAMEWORK_PACKAGES = {
+    npm: {
+        express: 'Express',
+        koa: 'Koa',
+        fastify: 'Fastify',
+        '@nestjs/core': 'NestJS',
+        'socket.io': 'Socket.IO',
+        react: 'React',
+        next: 'Next.js',
+        vue: 'Vue',
+        nuxt: 'Nuxt',
+        svelte: 'Svelte',
+        '@angular/core': 'Angular',
+        'react-native': 'React Native',
+        electron: 'Electron',
+        vite: 'Vite',
+        webpack: 'webpack',
+        tailwindcss: 'Tailwind CSS',
+        mongoose: 'Mongoose',
+        prisma: 'Prisma',
+        sequelize: 'Sequelize',
+        typeorm: 'TypeORM',
+        graphql: 'GraphQL',
+        jest: 'Jest',
+        mocha: 'Mocha',
+        vitest: 'Vitest',
+        typescript: 'TypeScript',
+        openai: 'OpenAI SDK'
+    },
+    python: {
+        django: 'Django',
+        flask: 'Flask',
+        fastapi: 'FastAPI',
+        starlette: 'Starlette',
+        sqlalchemy: 'SQLAlchemy',
+        celery: 'Celery',
+        pandas: 'pandas',
+        numpy: 'NumPy',
+        torch: 'PyTorch',
+        tensorflow: 'TensorFlow',
+        'scikit-learn': 'scikit-learn',
+        pytest: 'pytest',
+        pydantic: 'Pydantic'
+    },
+    go: {
+        'github.com/gin-gonic/gin': 'Gin',
+        'github.com/labstack/echo': 'Echo',
+        'github.com/gofiber/fiber': 'Fiber',
+        'github.com/gorilla/mux': 'Gorilla Mux',
+        'github.com/spf13/cobra': 'Cobra',
+        'gorm.io/gorm': 'GORM',
+        'google.golang.org/grpc': 'gRPC'
+    },
+    cargo: {
+        tokio: 'Tokio',
+        actix_web: 'Actix Web',
+        axum: 'Axum',
+        rocket: 'Rocket',
+        serde: 'Serde',
+        diesel: 'Diesel',
+        clap: 'clap'
+    },
+    ruby: {
+        rails: 'Ruby on Rails',
+        sinatra: 'Sinatra',
+        rspec: 'RSpec'
+    },
+    php: {
+        'laravel/framework': 'Laravel',
+        'symfony/symfony': 'Symfony',
+        'symfony/framework-bundle': 'Symfony'
+    },
+    jvm: {
+        'org.springframework.boot': 'Spring Boot',
+        'io.quarkus': 'Quarkus',
+        'io.micronaut': 'Micronaut',
+        'io.ktor': 'Ktor',
+        junit: 'JUnit'
+    }
+};
+
+// Conventional entry-point file names, matched against the path relative to a project root
+const ENTRY_POINT_PATHS = [
+    'index.js', 'index.ts', 'server.js', 'server.ts', 'app.js', 'app.ts', 'main.js', 'main.ts',
+    'src/index.js', 'src/index.ts', 'src/index.tsx', 'src/server.js', 'src/server.ts',
+    'src/app.js', 'src/app.ts', 'src/main.js', 'src/main.ts', 'src/main.tsx',
+    'main.py', 'app.py', 'manage.py', 'wsgi.py', 'asgi.py', '__main__.py',
+    'main.go', 'src/main.rs', 'src/lib.rs', 'config.ru', 'index.php', 'lib/main.dart'
+];
+
+/**
+ * Number of lines in a file
+ * @param {string} content
+ * @returns {number}
+ */
+function countLines(content) {
+    if (!content) return 0;
+    const lines = content.split('\n').length;
+    return content.endsWith('\n') ? lines - 1 : lines;
+}
+
+/**
+ * Parse a JSON manifest, ignoring broken ones
+ * @param {string} content
+ * @returns {Object|null}
+ */
+function parseJson(content) {
+    try {
+        return JSON.parse(content);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Package names a manifest depends on, by ecosystem
+ * @param {string} fileName
+ * @param {string} content
+ * @returns {{ecosystem: string, packages: Array<string>}|null}
+ */
+function manifestPackages(fileName, content) {
+    switch (fileName) {
+        case 'package.json': {
+            const manifest = parseJson(content);
+            if (!manifest) return null;
+            return {
+                ecosystem: 'npm',
+                packages: Object.keys({ ...manifest.dependencies, ...manifest.devDependencies, ...manifest.peerDependencies })
+            };
+        }
+        case 'requirements.txt':
+        case 'requirements-dev.txt':
+            return {
+                ecosystem: 'python',
+                packages: content.split('\n')
+                    .map(line => line.replace(/#.*$/, '').trim())
+                    .filter(line => line && !line.startsWith('-'))
+                    .map(line => line.split(/[<>=!~;\[\s]/)[0].toLowerCase())
+            };
+        case 'pyproject.toml':
+        case 'Pipfile':
+        case 'setup.py':
+            // Dependency lists are quoted requirement strings or `name = "version"` keys
+            return {
+                ecosystem: 'python',
+                packages: [...content.matchAll(/^\s*["']?([A-Za-z0-9_.-]+)["']?\s*(?:[<>=!~\[;]|=\s*["{])/gm)]
+                    .map(match => match[1].toLowerCase())
+            };
+        case 'go.mod':
+            return {
+                ecosystem: 'go',
+                packages: [...content.matchAll(/^\s*(?:require\s+)?([a-z0-9.-]+\.[a-z]+\/[^\s]+)\s+v[\d.]/gm)].map(match => match[1])
+            };
+        case 'Cargo.toml':
+            return {
+                ecosystem: 'cargo',
+                packages: [...content.matchAll(/^\s*([A-Za-z0-9_-]+)\s*=/gm)].map(match => match[1].replace(/-/g, '_'))
+            };
+        case 'Gemfile':
+            return {
+                ecosystem: 'ruby',
+                packages: [...content.matchAll(/^\s*gem\s+['"]([^'"]+)['"]/gm)].map(match => match[1])
+            };
+        case 'composer.json': {
+            const manifest = parseJson(content);
+            if (!manifest) return null;
+            return { ecosystem: 'php', packages: Object.keys({ ...manifest.require, ...manifest['require-dev'] }) };
+        }
+        case 'pom.xml':
+            return {
+                ecosystem: 'jvm',
+                packages: [...content.matchAll(/<groupId>([^<]+)<\/groupId>\s*<artifactId>([^<]+)<\/artifactId>/g)]
+                    .flatMap(match => [match[1], match[2]])
+            };
+        case 'build.gradle':
+        case 'build.gradle.kts':
+            return {
+                ecosystem: 'jvm',
+                packages: [...content.matchAll(/['"]([\w.-]+):([\w.-]+)(?::[^'"]*)?['"]/g)].flatMap(match => [match[1], match[2]])
+            };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Frameworks named by the manifests among the files
+ * @param {Array} files
+ * @returns {Array<{name: string, ecosystem: string, manifest: string}>}
+ */
+function detectFrameworks(files) {
+    const frameworks = new Map();
+
+    for (const file of files) {
+        if (file.category === 'vendored') continue;
+
+        const parsed = manifestPackages(path.posix.basename(file.path), file.content);
+        if (!parsed) continue;
+
+        const known = FRAMEWORK_PACKAGES[parsed.ecosystem];
+        for (const pkg of parsed.packages) {
+            // Go modules and Maven groups are matched by prefix ("github.com/labstack/echo/v4")
+            const key = Object.keys(known).find(name => pkg === name || pkg.startsWith(`${name}/`) || pkg.startsWith(`${name}.`));
+            if (key && !frameworks.has(known[key])) {
+                frameworks.set(known[key], { name: known[key], ecosystem: parsed.ecosystem, manifest: file.path });
+            }
+        }
+    }
+
+    return [...frameworks.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Entry points: files package manifests point at, conventional names, and
+ * files with a language's main guard
+ * @param {Array} files
+ * @returns {Array<{path: string, reason: string}>}
+ */
+function detectEntryPoints(files) {
+    const paths = new Set(files.map(file => file.path));
+    const entries = new Map();
+    const add = (filePath, reason) => {
+        if (paths.has(filePath) && !entries.has(filePath)) entries.set(filePath, { path: filePath, reason });
+    };
+
+    // Declared entry points first
+    for (const file of files) {
+        if (path.posix.basename(file.path) !== 'package.json' || file.category === 'vendored') continue;
+        const manifest = parseJson(file.content);
+        if (!manifest) continue;
+
+        const root = path.posix.dirname(file.path);
+        const resolve = (target) => path.posix.join(root, target.replace(/^\.\//, ''));
+
+        if (typeof manifest.main === 'string') add(resolve(manifest.main), 'package.json main');
+        const bins = typeof manifest.bin === 'string' ? [manifest.bin] : Object.values(manifest.bin || {});
+        bins.filter(bin => typeof bin === 'string').forEach(bin => add(resolve(bin), 'package.json bin'));
+        for (const script of ['start', 'dev', 'serve']) {
+            const command = manifest.scripts && manifest.scripts[script];
+            const target = typeof command === 'string' && command.match(/\b(?:node|nodemon|ts-node|tsx)\s+(?:--?\S+\s+)*([\w./-]+\.[cm]?[jt]s)\b/);
+            if (target) add(resolve(target[1]), `npm ${script} script`);
+        }
+    }
+
+    for (const file of files) {
+        if (file.category) continue;
+
+        // Conventional names, at the root or at the root of a workspace member / Go command
+        const name = file.path.split('/');
+        for (let i = 0; i < Math.min(name.length, 3); i++) {
+            if (ENTRY_POINT_PATHS.includes(name.slice(i).join('/'))) {
+                add(file.path, 'conventional name');
+                break;
+            }
+        }
+
+        if (file.language === 'python' && /^if\s+__name__\s*==\s*['"]__main__['"]\s*:/m.test(file.content)) {
+            add(file.path, '__main__ guard');
+        } else if (file.language === 'go' && /^package\s+main\b/m.test(file.content) && /^func\s+main\s*\(/m.test(file.content)) {
+            add(file.path, 'package main');
+        } else if ((file.language === 'java' || file.language === 'kotlin') && /\bstatic\s+void\s+main\s*\(|^fun\s+main\s*\(/m.test(file.content)) {
+            add(file.path, 'main method');
+        }
+    }
+
+    return [...entries.values()].slice(0, MAX_ENTRY_POINTS);
+}
+
+/**
+ * Compute a deterministic overview of a codebase from its files
+ * @param {Array} files - Stored files (file_path) or processCodeFiles output (relativePath),
+ *   each with content, language, size and category
+ * @param {Array} [dependencies] - Stored (target_path) or resolved (targetPath) dependency
+ *   records, used to count how often modules are imported
+ * @returns {Object} - fileCount, totalLines, languages, structure, frameworks, entryPoints, largestModules
+ */
+export function buildOverview(files, dependencies = []) {
+    const normalized = files.map(file => ({
+        path: file.file_path || file.relativePath,
+        content: file.content || '',
+        language: file.language,
+        size: file.size || 0,
+        category: file.category || null,
+        lines: countLines(file.content)
+    }));
+
+    const languages = new Map();
+    const structure = new Map();
+    let totalLines = 0;
+    let codeLines = 0;
+
+    for (const file of normalized) {
+        totalLines += file.lines;
+
+        if (!languages.has(file.language)) {
+            languages.set(file.language, { language: file.language, files: 0, lines: 0 });
+        }
+        const language = languages.get(file.language);
+        language.files++;
+        language.lines += file.lines;
+        if (!NON_CODE_LANGUAGES.includes(file.language)) codeLines += file.lines;
+
+        // Top-level directories; files at the root are grouped under "."
+        const top = file.path.includes('/') ? file.path.split('/')[0] : '.';
+        if (!structure.has(top)) {
+            structure.set(top, { path: top, files: 0, lines: 0, languages: new Map() });
+        }
+        const dir = structure.get(top);
+        dir.files++;
+        dir.lines += file.lines;
+        dir.languages.set(file.language, (dir.languages.get(file.language) || 0) + file.lines);
+    }
+
+    const importedBy = new Map();
+    for (const dep of dependencies) {
+        const target = dep.target_path || dep.targetPath;
+        if (target) importedBy.set(target, (importedBy.get(target) || 0) + 1);
+    }
+
+    return {
+        fileCount: normalized.length,
+        totalLines,
+        languages: [...languages.values()]
+            .map(language => ({
+                ...language,
+                code: !NON_CODE_LANGUAGES.includes(language.language),
+                // Share of code lines; data and prose files are listed without one
+                share: NON_CODE_LANGUAGES.includes(language.language) || codeLines === 0
+                    ? null
+                    : Math.round((language.lines / codeLines) * 1000) / 10
+            }))
+            .sort((a, b) => b.lines - a.lines),
+        structure: [...structure.values()]
+            .map(dir => ({
+                path: dir.path,
+                files: dir.files,
+                lines: dir.lines,
+                primaryLanguage: [...dir.languages.entries()].sort((a, b) => b[1] - a[1])[0][0]
+            }))
+            .sort((a, b) => b.lines - a.lines),
+        frameworks: detectFrameworks(normalized),
+        entryPoints: detectEntryPoints(normalized),
+        largestModules: normalized
+            .filter(file => !file.category && !NON_CODE_LANGUAGES.includes(file.language))
+            .sort((a, b) => b.lines - a.lines || a.path.localeCompare(b.path))
+            .slice(0, MAX_LARGEST_MODULES)
+            .map(file => ({
+                path: file.path,
+                language: file.language,
+                lines: file.lines,
+                size: file.size,
+                importedBy: importedBy.get(file.path) || 0
+            }))
+    };
+}
@@ -0,0 +1,157 @@
+import path from 'path';
+import { parsePatch, applyPatch, structuredPatch, formatPatch, FILE_HEADERS_ONLY } from 'diff';
+import * as acorn from 'acorn';
+
+/**
+ * Check that patched code still parses, for languages we can parse here
+ * @param {string} content
+ * @param {string} filePath
+ * @param {string} language
+ * @returns {{parseCheck: 'ok'|'failed'|'not_checked', parseError?: string}}
+ */
+export function checkSyntax(content, filePath, language) {
+    const ext = path.extname(filePath).toLowerCase();
+
+    try {
+        if (language === 'json') {
+            JSON.parse(content);
+            return { parseCheck: 'ok' };
+        }
+
+        // acorn reads plain JavaScript only; JSX and TypeScript are left unchecked
+        if (language === 'javascript' && ext !== '.jsx') {
+            try {
+                acorn.parse(content, { ecmaVersion: 'latest', sourceType: 'module', allowHashBang: true });
+            } catch (moduleError) {
+                // CommonJS files may use things modules forbid (with, octal literals, top-level return)
+                try {
+                    acorn.parse(content, { ecmaVersion: 'latest', sourceType: 'script', allowHashBang: true, allowReturnOutsideFunction: true });
+                } catch {
+                    throw moduleError;
+                }
+            }
+            return { parseCheck: 'ok' };
+        }
+    } catch (error) {
+        return { parseCheck: 'failed', parseError: error.message };
+    }
+
+    return { parseCheck: 'not_checked' };
+}
+
+/**
+ * Format the change from `original` to `patched` as a unified diff
+ * @param {string} filePath
+ * @param {string} original
+ * @param {string} patched
+ * @returns {string}
+ */
+export function createFilePatch(filePath, original, patched) {
+    return formatPatch(structuredPatch(`a/${filePath}`, `b/${filePath}`, original, patched), FILE_HEADERS_ONLY);
+}
+
+/**
+ * Apply a model-written unified diff to the code it was written against
+ * @param {string} patchText
+ * @param {string} original
+ * @returns {string|null} - Patched content, or null when the diff is malformed or does not apply
+ */
+function applyModelPatch(patchText, original) {
+    let parsed;
+    try {
+        parsed = parsePatch(patchText);
+    } catch {
+        return null;
+    }
+
+    // One suggestion changes one file
+    if (parsed.length !== 1 || parsed[0].hunks.length === 0) {
+        return null;
+    }
+
+    try {
+        const patched = applyPatch(original, parsed[0]);
+        return patched === false || patched === original ? null : patched;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Validate the patch a suggestion carries against the code it targets.
+ * A patch that applies cleanly is replaced by a canonical diff with a/ and b/
+ * headers for the given path, unless the patched result no longer parses.
+ * @param {Object} suggestion - May carry a `patch` string from the model
+ * @param {string} filePath - Path used in the diff headers
+ * @param {string} original - Code the patch was written against
+ * @param {string} language
+ * @returns {Object} - The suggestion with `patch` (or null) and a `patchStatus` of
+ *   'none', 'applies', 'does_not_apply' or 'invalid_syntax' (with `parseError`);
+ *   applied patches also carry `parseCheck` ('ok' or 'not_checked')
+ */
+export function validateSuggestionPatch(suggestion, filePath, original, language) {
+    const { patch, ...rest } = suggestion;
+
+    if (typeof patch !== 'string' || !patch.trim()) {
+        return { ...rest, patch: null, patchStatus: 'none' };
+    }
+
+    const patched = applyModelPatch(patch, original);
+    if (patched === null) {
+        return { ...rest, patch: null, patchStatus: 'does_not_apply' };
+    }
+
+    const syntax = checkSyntax(patched, filePath, language);
+    if (syntax.parseCheck === 'failed') {
+        return { ...rest, patch: null, patchStatus: 'invalid_syntax', parseError: syntax.parseError };
+    }
+
+    return {
+        ...rest,
+        patch: createFilePatch(filePath, original, patched),
+        patchStatus: 'applies',
+        ...syntax
+    };
+}
+
+/**
+ * Combine the applicable patches of a review into one patch file.
+ * Patches to the same file are applied one after another in order; one that
+ * no longer applies on top of the earlier ones (or to the file as it is
+ * stored now) is skipped.
+ * @param {Array} suggestions - Review suggestions (file, title, patch, patchStatus)
+ * @param {Array} files - Current stored files (file_path, content)
+ * @returns {{patch: string, applied: Array<string>, skipped: Array<{file: string, title: string, reason: string}>}}
+ */
+export function combineReviewPatches(suggestions, files) {
+    const filesByPath = new Map(files.map(file => [file.file_path, file.content]));
+    const working = new Map();
+    const applied = [];
+    const skipped = [];
+
+    for (const suggestion of suggestions) {
+        if (suggestion.patchStatus !== 'applies' || !suggestion.patch) continue;
+
+        if (!filesByPath.has(suggestion.file)) {
+            skipped.push({ file: suggestion.file, title: suggestion.title, reason: 'file_not_found' });
+            continue;
+        }
+
+        const current = working.has(suggestion.file) ? working.get(suggestion.file) : filesByPath.get(suggestion.file);
+        const patched = applyModelPatch(suggestion.patch, current);
+        if (patched === null) {
+            skipped.push({ file: suggestion.file, title: suggestion.title, reason: 'conflict' });
+            continue;
+        }
+
+        working.set(suggestion.file, patched);
+        applied.push(suggestion.title);
+    }
+
+    const patch = [...working.keys()]
+        .sort()
+        .map(filePath => createFilePatch(filePath, filesByPath.get(filePath), working.get(filePath)))
+        .join('');
+
+    return { patch, applied, skipped };
+}
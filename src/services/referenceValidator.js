@@ -0,0 +1,164 @@
+import { getCodeFilesByPaths, getCodebaseFilePaths } from '../models/database.js';
+
+// Lines of real code substituted for a snippet we could not find
+const MAX_REPLACEMENT_LINES = 15;
+
+/**
+ * Normalize a path the model cited so it can be compared to stored paths
+ * @param {string} filePath
+ * @returns {string}
+ */
+function normalizePath(filePath) {
+    return String(filePath || '')
+        .trim()
+        .replace(/\\/g, '/')
+        .replace(/^(\.\/|\/)+/, '');
+}
+
+/**
+ * Resolve a cited path to a stored path: exact match first, then a unique
+ * stored path ending with the cited one (the model often drops a prefix)
+ * @param {string} cited
+ * @param {Array<string>} storedPaths
+ * @returns {string|null}
+ */
+function resolvePath(cited, storedPaths) {
+    if (!cited) return null;
+    if (storedPaths.includes(cited)) return cited;
+
+    const candidates = storedPaths.filter(p => p.endsWith(`/${cited}`));
+    return candidates.length === 1 ? candidates[0] : null;
+}
+
+/**
+ * Snippet lines worth matching: line-number prefixes from our prompt
+ * stripped, blank lines and elisions ("...") dropped, whitespace collapsed
+ * @param {string} snippet
+ * @returns {Array<string>}
+ */
+function snippetLines(snippet) {
+    return String(snippet || '')
+        .split('\n')
+        .map(line => line.replace(/^\s*\d+\|\s?/, ''))
+        .map(collapse)
+        .filter(line => line && !/^(\.\.\.|…)$/.test(line));
+}
+
+/**
+ * Trim a line and collapse internal whitespace
+ * @param {string} line
+ * @returns {string}
+ */
+function collapse(line) {
+    return line.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Find where a snippet occurs in a file
+ * @param {Array<string>} fileLines - Collapsed file lines
+ * @param {Array<string>} wanted - Collapsed snippet lines
+ * @param {number} hint - Line the model claimed (1-based), used to break ties
+ * @returns {{start: number, end: number, exact: boolean}|null} - 1-based, inclusive
+ */
+function locateSnippet(fileLines, wanted, hint) {
+    if (wanted.length === 0) return null;
+
+    const matches = [];
+    for (let i = 0; i < fileLines.length; i++) {
+        if (fileLines[i] !== wanted[0]) continue;
+
+        // Walk forward allowing blank lines in the file that the snippet omitted
+        let j = i;
+        let k = 0;
+        while (j < fileLines.length && k < wanted.length) {
+            if (fileLines[j] === wanted[k]) {
+                k++;
+            } else if (fileLines[j] !== '') {
+                break;
+            }
+            j++;
+        }
+
+        matches.push({ start: i + 1, end: j, exact: k === wanted.length });
+    }
+
+    const exact = matches.filter(m => m.exact);
+    const pool = exact.length > 0 ? exact : matches;
+    if (pool.length === 0) return null;
+
+    return pool.reduce((best, m) =>
+        Math.abs(m.start - hint) < Math.abs(best.start - hint) ? m : best
+    );
+}
+
+/**
+ * Check a single reference against the stored file
+ * @param {Object} reference - As produced by the model
+ * @param {{file_path: string, content: string}} file
+ * @returns {Object} - Reference with corrected lines and a verification status
+ */
+function verifyAgainstFile(reference, file) {
+    const rawLines = file.content.replace(/\n$/, '').split('\n');
+    const fileLines = rawLines.map(collapse);
+    const hint = parseInt(reference.lineStart) || 1;
+    const located = locateSnippet(fileLines, snippetLines(reference.snippet), hint);
+
+    if (located && located.exact) {
+        return {
+            ...reference,
+            file: file.file_path,
+            lineStart: located.start,
+            lineEnd: located.end,
+            snippet: rawLines.slice(located.start - 1, located.end).join('\n'),
+            verified: true,
+            verification: 'snippet_matched'
+        };
+    }
+
+    // Clamp the claimed range to the file and show the code that is really there
+    const lineStart = Math.min(Math.max(located ? located.start : hint, 1), rawLines.length);
+    const claimedEnd = parseInt(reference.lineEnd) || lineStart;
+    const lineEnd = Math.min(Math.max(claimedEnd, lineStart), rawLines.length, lineStart + MAX_REPLACEMENT_LINES - 1);
+
+    return {
+        ...reference,
+        file: file.file_path,
+        lineStart,
+        lineEnd,
+        snippet: rawLines.slice(lineStart - 1, lineEnd).join('\n'),
+        verified: false,
+        verification: located ? 'partial_match' : 'file_only'
+    };
+}
+
+/**
+ * Verify model-produced references against the stored CodeFile content.
+ * References to files that do not exist are dropped; the rest get exact
+ * line ranges where the snippet can be located, and a `verified` flag.
+ * @param {string} codebaseId
+ * @param {Array} references
+ * @returns {Promise<Array>}
+ */
+export async function verifyReferences(codebaseId, references) {
+    if (!Array.isArray(references) || references.length === 0) {
+        return [];
+    }
+
+    const storedPaths = await getCodebaseFilePaths(codebaseId);
+    const resolved = references
+        .filter(ref => ref && typeof ref === 'object')
+        .map(ref => ({ ref, path: resolvePath(normalizePath(ref.file), storedPaths) }));
+
+    const dropped = resolved.filter(r => !r.path);
+    if (dropped.length > 0) {
+        console.warn(`⚠️  Dropped ${dropped.length} reference(s) to unknown files: ${dropped.map(r => r.ref.file).join(', ')}`);
+    }
+
+    const paths = [...new Set(resolved.filter(r => r.path).map(r => r.path))];
+    const files = await getCodeFilesByPaths(codebaseId, paths);
+    const filesByPath = new Map(files.map(file => [file.file_path, file]));
+
+    return resolved
+        .filter(r => r.path && filesByPath.has(r.path))
+        .map(r => verifyAgainstFile(r.ref, filesByPath.get(r.path)));
+}
@@ -0,0 +1,169 @@
+import { getEmbedder, cosineSimilarity } from './embeddingService.js';
+import { redactSecrets, redactionEnabled } from './securityScanner.js';
+import {
+    insertCodeChunks,
+    getCodebaseChunks,
+    getCodebase,
+    updateCodebaseEmbeddingModel,
+    deleteCodebaseChunks
+} from '../models/database.js';
+
+// Number of chunks handed to the LLM as context
+const TOP_K = 12;
+
+// Score multiplier for generated and vendored code, so it only wins when
+// nothing hand-written is comparably relevant
+export const LOW_PRIORITY_WEIGHT = 0.6;
+
+/**
+ * Flatten the syntax-aware chunks of processed files into chunk records
+ * @param {Array} files - Output of processCodeFiles (relativePath, language, chunks)
+ * @returns {Array<{filePath: string, language: string, category: string|null, kind: string, name: string|null, content: string, startLine: number, endLine: number}>}
+ */
+function collectChunks(files) {
+    return files.flatMap(file => (file.chunks || []).map(chunk => ({
+        filePath: file.relativePath,
+        language: file.language,
+        category: file.category || null,
+        kind: chunk.kind,
+        name: chunk.name,
+        content: chunk.content,
+        startLine: chunk.startLine,
+        endLine: chunk.endLine
+    })));
+}
+
+/**
+ * Text that gets embedded for a chunk — the path and symbol name help match
+ * questions that name a module or function rather than code inside it
+ * @param {{filePath: string, kind: string, name: string|null, content: string}} chunk
+ * @returns {string}
+ */
+function embeddingInput(chunk) {
+    const label = chunk.name ? `${chunk.kind} ${chunk.name}\n` : '';
+    return `${chunk.filePath}\n${label}${chunk.content}`;
+}
+
+/**
+ * Embed and store chunk records.
+ * Failures are logged rather than thrown: the codebase's embedding model is
+ * cleared so answerQuestion falls back to keyword retrieval instead of
+ * searching an index that is missing these chunks.
+ * With redaction enabled for the codebase, likely secrets are replaced in the
+ * text sent to the embedder; stored chunk content is unchanged.
+ * @param {string} codebaseId
+ * @param {Array} chunks - From collectChunks
+ * @returns {Promise<{chunkCount: number, embeddingModel: string|null}>}
+ */
+async function indexChunks(codebaseId, chunks) {
+    try {
+        const embedder = getEmbedder();
+        const redact = redactionEnabled(await getCodebase(codebaseId));
+
+        const inputs = chunks.map(embeddingInput);
+        const vectors = await embedder.embed(redact ? inputs.map(input => redactSecrets(input).text) : inputs);
+        chunks.forEach((chunk, i) => {
+            chunk.embedding = vectors[i];
+        });
+
+        await insertCodeChunks(codebaseId, chunks);
+        await updateCodebaseEmbeddingModel(codebaseId, embedder.id);
+
+        return { chunkCount: chunks.length, embeddingModel: embedder.id };
+    } catch (error) {
+        console.warn(`⚠️  Could not build semantic index for ${codebaseId}: ${error.message}`);
+        try {
+            // The next sync sees no model and rebuilds the whole index
+            await updateCodebaseEmbeddingModel(codebaseId, null);
+        } catch (clearError) {
+            console.warn(`⚠️  Could not clear embedding model for ${codebaseId}: ${clearError.message}`);
+        }
+        return { chunkCount: 0, embeddingModel: null };
+    }
+}
+
+/**
+ * Embed and store the chunks of a freshly ingested codebase (see indexChunks)
+ * @param {string} codebaseId
+ * @param {Array} files - Output of processCodeFiles
+ * @returns {Promise<{chunkCount: number, embeddingModel: string|null}>}
+ */
+export async function indexCodebaseFiles(codebaseId, files) {
+    return await indexChunks(codebaseId, collectChunks(files));
+}
+
+/**
+ * Re-embed every stored chunk of a codebase, e.g. after its redaction setting
+ * changed and existing vectors were built from the other kind of text
+ * @param {string} codebaseId
+ * @returns {Promise<{chunkCount: number, embeddingModel: string|null}>}
+ */
+export async function rebuildCodebaseIndex(codebaseId) {
+    const chunks = (await getCodebaseChunks(codebaseId)).map(chunk => ({
+        filePath: chunk.file_path,
+        language: chunk.language,
+        category: chunk.category,
+        kind: chunk.kind,
+        name: chunk.name,
+        content: chunk.content,
+        startLine: chunk.start_line,
+        endLine: chunk.end_line
+    }));
+
+    await deleteCodebaseChunks(codebaseId);
+    return await indexChunks(codebaseId, chunks);
+}
+
+/**
+ * Bring the index up to date after some files changed. Chunks of changed and
+ * deleted files must already be removed; only `changedFiles` are embedded,
+ * unless the index was built with another model, in which case it is rebuilt.
+ * @param {Object} codebase - Codebase document (for its embedding_model)
+ * @param {Array} allFiles - Every file now in the codebase (processCodeFiles output)
+ * @param {Array} changedFiles - Added or modified files
+ * @returns {Promise<{chunkCount: number, embeddingModel: string|null}>}
+ */
+export async function refreshCodebaseIndex(codebase, allFiles, changedFiles) {
+    if (codebase.embedding_model === getEmbedder().id) {
+        return await indexCodebaseFiles(codebase._id, changedFiles);
+    }
+
+    await deleteCodebaseChunks(codebase._id);
+    return await indexCodebaseFiles(codebase._id, allFiles);
+}
+
+/**
+ * Rank a codebase's chunks by vector similarity to the question, with
+ * generated and vendored chunks down-weighted.
+ * Returns null when the codebase has no usable index (not indexed, or indexed
+ * with a different embedding model than the one configured now).
+ * @param {string} codebaseId
+ * @param {string} question
+ * @param {Object} [options]
+ * @param {number} [options.topK]
+ * @param {Array<string>} [options.pathPrefixes] - Only consider files under these prefixes
+ * @returns {Promise<Array|null>}
+ */
+export async function retrieveRelevantChunks(codebaseId, question, { topK = TOP_K, pathPrefixes = null } = {}) {
+    const embedder = getEmbedder();
+    const codebase = await getCodebase(codebaseId);
+
+    if (!codebase || codebase.embedding_model !== embedder.id) {
+        return null;
+    }
+
+    const chunks = await getCodebaseChunks(codebaseId, pathPrefixes);
+    if (chunks.length === 0) {
+        return null;
+    }
+
+    const [queryVector] = await embedder.embed([question]);
+
+    return chunks
+        .map(chunk => {
+            const similarity = cosineSimilarity(queryVector, chunk.embedding);
+            return { ...chunk, score: chunk.category ? similarity * LOW_PRIORITY_WEIGHT : similarity };
+        })
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+}
@@ -0,0 +1,124 @@
+import { Worker } from 'worker_threads';
+import { escapeRegex } from '../models/database.js';
+import { envInt } from '../config.js';
+
+const WORKER_PATH = new URL('./searchWorker.js', import.meta.url);
+
+// Wall-clock budget for one search; the worker is terminated past it.
+// SEARCH_TIMEOUT_MS overrides it
+const DEFAULT_SEARCH_TIMEOUT_MS = 3000;
+
+// Longest pattern accepted
+const MAX_PATTERN_LENGTH = 500;
+
+// Matches returned by one search
+export const MAX_SEARCH_MATCHES = 1000;
+
+// Characters of a matching line returned
+const MAX_LINE_LENGTH = 300;
+
+// Quantified groups that themselves contain a quantifier ("(a+)+", "(\w*\s?)*",
+// "(x|y+){2,}") are the classic catastrophic-backtracking shape
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)[+*{]/;
+
+/**
+ * Error for a query the caller has to fix
+ * @param {string} reason - 'invalid_pattern', 'unsafe_pattern' or 'timeout'
+ * @param {string} message
+ * @returns {Error}
+ */
+function searchError(reason, message) {
+    const error = new Error(message);
+    error.reason = reason;
+    return error;
+}
+
+/**
+ * Build the pattern source and flags for a query, rejecting patterns that
+ * are invalid or likely to backtrack catastrophically
+ * @param {string} query
+ * @param {Object} options
+ * @param {boolean} options.regex
+ * @param {boolean} options.caseSensitive
+ * @param {boolean} options.wholeWord
+ * @returns {{source: string, flags: string}}
+ */
+export function compileQuery(query, { regex = false, caseSensitive = false, wholeWord = false } = {}) {
+    if (!query) {
+        throw searchError('invalid_pattern', 'Search query is required');
+    }
+    if (query.length > MAX_PATTERN_LENGTH) {
+        throw searchError('invalid_pattern', `Search query must be at most ${MAX_PATTERN_LENGTH} characters`);
+    }
+
+    let source = regex ? query : escapeRegex(query);
+    if (regex) {
+        if (NESTED_QUANTIFIER.test(query)) {
+            throw searchError('unsafe_pattern', 'Regex contains a nested quantifier (like "(a+)+"), which can take exponential time');
+        }
+        if (/\\[1-9]|\\k</.test(query)) {
+            throw searchError('unsafe_pattern', 'Regex backreferences are not supported');
+        }
+    }
+    if (wholeWord) {
+        source = `\\b(?:${source})\\b`;
+    }
+
+    const flags = caseSensitive ? '' : 'i';
+    try {
+        new RegExp(source, flags);
+    } catch (error) {
+        throw searchError('invalid_pattern', `Invalid regex: ${error.message}`);
+    }
+
+    return { source, flags };
+}
+
+/**
+ * Search file contents line by line. The scan runs in a worker thread that is
+ * terminated after SEARCH_TIMEOUT_MS, so a pathological regex cannot stall the server.
+ * @param {Array} files - Stored files (file_path, language, content)
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {boolean} [options.regex] - Treat the query as a regular expression
+ * @param {boolean} [options.caseSensitive]
+ * @param {boolean} [options.wholeWord]
+ * @param {number} [options.maxMatches]
+ * @returns {Promise<{files: Array, totalMatches: number, truncated: boolean}>} - Errors carry
+ *   a `reason` when the query itself is at fault
+ */
+export function searchFiles(files, query, { regex = false, caseSensitive = false, wholeWord = false, maxMatches = MAX_SEARCH_MATCHES } = {}) {
+    const { source, flags } = compileQuery(query, { regex, caseSensitive, wholeWord });
+    const timeoutMs = envInt('SEARCH_TIMEOUT_MS', DEFAULT_SEARCH_TIMEOUT_MS);
+
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(WORKER_PATH, {
+            workerData: {
+                files: files.map(file => ({ file_path: file.file_path, language: file.language, content: file.content })),
+                source,
+                flags,
+                maxMatches,
+                maxLineLength: MAX_LINE_LENGTH
+            }
+        });
+
+        let settled = false;
+        const settle = (fn, value) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            fn(value);
+        };
+
+        const timer = setTimeout(() => {
+            worker.terminate();
+            settle(reject, searchError('timeout', `Search took longer than ${timeoutMs}ms; simplify the pattern or narrow the path`));
+        }, timeoutMs);
+
+        worker.once('message', result => settle(resolve, result));
+        worker.once('error', error => settle(reject, error));
+        worker.once('exit', code => {
+            if (code !== 0) settle(reject, new Error(`Search worker exited with code ${code}`));
+        });
+    });
+}
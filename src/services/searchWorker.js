@@ -0,0 +1,49 @@
+import { parentPort, workerData } from 'worker_threads';
+
+// Runs one search off the main thread so a runaway regex can be terminated.
+// workerData: { files: [{file_path, language, content}], source, flags, maxMatches, maxLineLength }
+
+const { files, source, flags, maxMatches, maxLineLength } = workerData;
+const pattern = new RegExp(source, flags);
+
+const results = [];
+let totalMatches = 0;
+let truncated = false;
+
+for (const file of files) {
+    const lines = file.content.split('\n');
+    const matches = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const match = pattern.exec(line);
+        if (!match) continue;
+
+        totalMatches++;
+        if (totalMatches > maxMatches) {
+            truncated = true;
+            break;
+        }
+
+        // Long lines are cut to a window around the match
+        const start = line.length > maxLineLength ? Math.max(0, match.index - Math.floor(maxLineLength / 4)) : 0;
+        matches.push({
+            line: i + 1,
+            column: match.index + 1,
+            length: match[0].length,
+            text: line.slice(start, start + maxLineLength),
+            textOffset: start
+        });
+    }
+
+    if (matches.length > 0) {
+        results.push({ file: file.file_path, language: file.language, matches });
+    }
+    if (truncated) break;
+}
+
+parentPort.postMessage({
+    files: results,
+    totalMatches: truncated ? maxMatches : totalMatches,
+    truncated
+});
@@ -0,0 +1,386 @@
+import { extractSymbols, maskSource } from './codeChunker.js';
+
+// Function-level thresholds: [medium, high]
+const COMPLEXITY_THRESHOLDS = [11, 21];
+const FUNCTION_LENGTH_THRESHOLDS = [61, 121];
+const NESTING_THRESHOLDS = [5, 7];
+
+// Consecutive non-trivial lines that make a duplicated block
+const DUPLICATE_MIN_LINES = 6;
+
+// Lines shorter than this (after trimming) are ignored when looking for duplicates ("}", "end", "});")
+const TRIVIAL_LINE_LENGTH = 4;
+
+// TODO/FIXME markers per 1000 lines above which a file is flagged as medium
+const TODO_DENSITY_THRESHOLD = 10;
+const TODO_MARKER = /\b(TODO|FIXME|HACK|XXX)\b/;
+
+// Findings returned by one analysis, most severe first
+const MAX_FINDINGS = 300;
+
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+// Decision points counted towards cyclomatic complexity, per language family
+const DECISION_PATTERNS = {
+    cStyle: /\b(?:if|for|while|case|catch)\b|&&|\|\||\?\?|(?<![?.])\?(?![.?:])/g,
+    python: /\b(?:if|elif|for|while|except|and|or|case)\b/g,
+    ruby: /\b(?:if|elsif|unless|while|until|when|rescue|and|or)\b|&&|\|\|/g
+};
+
+// Statements that open a nested block
+const NESTING_KEYWORDS = /^\s*(?:\}\s*)?(?:else\s+if|if|else|for|foreach|while|do|switch|try|catch|finally|with|elif|except|match|when|unless|until|loop|select)\b/;
+
+/**
+ * Severity for a metric against [medium, high] thresholds
+ * @param {number} value
+ * @param {Array<number>} thresholds
+ * @returns {'high'|'medium'|null}
+ */
+function severityFor(value, [medium, high]) {
+    if (value >= high) return 'high';
+    if (value >= medium) return 'medium';
+    return null;
+}
+
+/**
+ * Decision-point pattern for a language
+ * @param {string} language
+ * @returns {RegExp}
+ */
+function decisionPattern(language) {
+    if (language === 'python') return DECISION_PATTERNS.python;
+    if (language === 'ruby') return DECISION_PATTERNS.ruby;
+    return DECISION_PATTERNS.cStyle;
+}
+
+/**
+ * Deepest nesting of control blocks within a line range of masked code.
+ * Brace languages count braces opened on control-statement lines; Python
+ * counts indented control blocks.
+ * @param {Array<string>} code - Masked lines
+ * @param {number} start - First line index (inclusive)
+ * @param {number} end - Last line index (inclusive)
+ * @param {string} language
+ * @returns {{depth: number, line: number}} - Deepest depth and the 1-based line it is reached on
+ */
+function maxNesting(code, start, end, language) {
+    let deepest = { depth: 0, line: start + 1 };
+
+    if (language === 'python') {
+        const stack = [];
+        for (let i = start + 1; i <= end; i++) {
+            const line = code[i];
+            if (!line.trim()) continue;
+            const indent = line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+            while (stack.length > 0 && stack[stack.length - 1] >= indent) stack.pop();
+            if (NESTING_KEYWORDS.test(line) && line.trimEnd().endsWith(':')) {
+                stack.push(indent);
+                if (stack.length > deepest.depth) deepest = { depth: stack.length, line: i + 1 };
+            }
+        }
+        return deepest;
+    }
+
+    if (language === 'ruby') return deepest;
+
+    // Each open brace remembers whether it belongs to a control statement
+    const stack = [];
+    for (let i = start; i <= end; i++) {
+        const line = code[i];
+        const isControl = NESTING_KEYWORDS.test(line);
+        for (const ch of line) {
+            if (ch === '{') {
+                stack.push(isControl);
+                const depth = stack.filter(Boolean).length;
+                if (depth > deepest.depth) deepest = { depth, line: i + 1 };
+            } else if (ch === '}') {
+                stack.pop();
+            }
+        }
+    }
+    return deepest;
+}
+
+/**
+ * Complexity, length and nesting findings for each function in a file
+ * @param {Object} file - { file_path, content, language }
+ * @param {Array<string>} code - Masked lines of the file
+ * @returns {Array}
+ */
+function analyzeFunctions(file, code) {
+    const findings = [];
+    const functions = extractSymbols(file.content, file.language)
+        .filter(symbol => symbol.kind === 'function' || symbol.kind === 'method');
+
+    for (const fn of functions) {
+        const start = fn.startLine - 1;
+        const end = fn.endLine - 1;
+        const body = code.slice(start, end + 1).join('\n');
+        const location = { file: file.file_path, lineStart: fn.startLine, lineEnd: fn.endLine, symbol: fn.qualifiedName };
+
+        const complexity = 1 + (body.match(decisionPattern(file.language)) || []).length;
+        let severity = severityFor(complexity, COMPLEXITY_THRESHOLDS);
+        if (severity) {
+            findings.push({
+                rule: 'complexity',
+                severity,
+                ...location,
+                value: complexity,
+                message: `${fn.qualifiedName} has a cyclomatic complexity of ${complexity}`
+            });
+        }
+
+        const length = fn.endLine - fn.startLine + 1;
+        severity = severityFor(length, FUNCTION_LENGTH_THRESHOLDS);
+        if (severity) {
+            findings.push({
+                rule: 'long_function',
+                severity,
+                ...location,
+                value: length,
+                message: `${fn.qualifiedName} is ${length} lines long`
+            });
+        }
+
+        const nesting = maxNesting(code, start, end, file.language);
+        severity = severityFor(nesting.depth, NESTING_THRESHOLDS);
+        if (severity) {
+            findings.push({
+                rule: 'deep_nesting',
+                severity,
+                ...location,
+                value: nesting.depth,
+                message: `${fn.qualifiedName} nests control blocks ${nesting.depth} deep (at line ${nesting.line})`
+            });
+        }
+    }
+
+    return findings;
+}
+
+/**
+ * Names declared by a JavaScript/TypeScript declaration list ("a", "{ a, b: c, ...d }", "[x, , y]")
+ * @param {string} pattern
+ * @returns {Array<string>}
+ */
+function declaredNames(pattern) {
+    const trimmed = pattern.trim();
+    if (!/^[{[]/.test(trimmed)) {
+        return [trimmed.match(/^[A-Za-z_$][\w$]*/)?.[0]].filter(Boolean);
+    }
+
+    return trimmed.slice(1, -1).split(',')
+        .map(part => part.replace(/=.*$/, '').trim())
+        .filter(Boolean)
+        .map(part => part.replace(/^\.\.\./, '').split(':').pop().trim())
+        .filter(name => /^[A-Za-z_$][\w$]*$/.test(name));
+}
+
+/**
+ * Variables and imports a JavaScript/TypeScript file declares but never reads
+ * @param {Object} file
+ * @param {Array<string>} code - Lines with comments and strings blanked
+ * @param {Array<string>} withStrings - Lines with only comments blanked
+ * @returns {Array}
+ */
+function findUnusedVariables(file, code, withStrings) {
+    // Names inside strings are not uses, except in template literal expressions
+    const templateExpressions = [...withStrings.join('\n').matchAll(/\$\{([^}]*)\}/g)].map(match => match[1]);
+    const text = [...code, ...templateExpressions].join('\n');
+    const declarations = [];
+
+    code.forEach((line, index) => {
+        const exported = /^\s*export\b/.test(line);
+
+        for (const match of line.matchAll(/\b(?:const|let|var)\s+([A-Za-z_$][\w$]*|\{[^}]*\}|\[[^\]]*\])\s*(?::[^=;]+)?[=;]/g)) {
+            declaredNames(match[1]).forEach(name => declarations.push({ name, line: index + 1, kind: 'variable', exported }));
+        }
+
+        const imported = line.match(/^\s*import\s+(?:type\s+)?([\w$]+)?\s*,?\s*(?:\{([^}]*)\}|\*\s+as\s+([\w$]+))?\s+from\b/);
+        if (imported) {
+            const names = [
+                imported[1],
+                imported[3],
+                ...(imported[2] || '').split(',').map(part => part.trim().replace(/^type\s+/, '').split(/\s+as\s+/).pop())
+            ].filter(name => name && /^[A-Za-z_$][\w$]*$/.test(name));
+            names.forEach(name => declarations.push({ name, line: index + 1, kind: 'import', exported: false }));
+        }
+    });
+
+    const findings = [];
+    const reported = new Set();
+    for (const declaration of declarations) {
+        const { name } = declaration;
+        if (declaration.exported || name.startsWith('_') || reported.has(name)) continue;
+
+        const escaped = name.replace(/\$/g, '\\$');
+        // Property accesses (obj.name) are not uses; spreads (...name) are
+        const uses = text.match(new RegExp(`(?<![\\w$])(?:(?<=\\.\\.\\.)|(?<!\\.))${escaped}(?![\\w$])`, 'g')) || [];
+        const exportedLater = new RegExp(`\\bexport\\s*(?:default\\s+${escaped}\\b|\\{[^}]*\\b${escaped}\\b)`).test(text);
+
+        if (uses.length <= 1 && !exportedLater) {
+            reported.add(name);
+            findings.push({
+                rule: 'unused_variable',
+                severity: 'low',
+                file: file.file_path,
+                lineStart: declaration.line,
+                lineEnd: declaration.line,
+                symbol: name,
+                message: declaration.kind === 'import'
+                    ? `Import ${name} is never used`
+                    : `Variable ${name} is declared but never used`
+            });
+        }
+    }
+
+    return findings;
+}
+
+/**
+ * TODO/FIXME markers in a file's comments
+ * @param {Object} file
+ * @param {Array} comments - From maskSource
+ * @param {number} lineCount
+ * @returns {Array}
+ */
+function findTodoMarkers(file, comments, lineCount) {
+    const markers = comments.filter(comment => TODO_MARKER.test(comment.text));
+    if (markers.length === 0) return [];
+
+    const density = Math.round((markers.length / Math.max(lineCount, 1)) * 10000) / 10;
+    return [{
+        rule: 'todo_density',
+        severity: density > TODO_DENSITY_THRESHOLD ? 'medium' : 'low',
+        file: file.file_path,
+        lineStart: markers[0].line,
+        lineEnd: markers[markers.length - 1].line,
+        value: markers.length,
+        lines: markers.slice(0, 20).map(marker => marker.line),
+        message: `${markers.length} TODO/FIXME marker(s), ${density} per 1000 lines`
+    }];
+}
+
+/**
+ * Blocks of DUPLICATE_MIN_LINES or more identical non-trivial lines, within
+ * and across files. Each repeat is reported once, pointing at the first copy.
+ * @param {Array<{file: Object, withStrings: Array<string>}>} sources
+ * @returns {Array}
+ */
+function findDuplicates(sources) {
+    const firstSeen = new Map();
+    const entriesByFile = new Map();
+    const findings = [];
+
+    for (const { file, withStrings } of sources) {
+        const entries = withStrings
+            .map((line, index) => ({ text: line.trim().replace(/\s+/g, ' '), line: index + 1 }))
+            .filter(entry => entry.text.length >= TRIVIAL_LINE_LENGTH);
+        entriesByFile.set(file.file_path, entries);
+
+        // The finding the previous window extended, so runs of matching windows merge into one block
+        let run = null;
+        for (let i = 0; i + DUPLICATE_MIN_LINES <= entries.length; i++) {
+            const key = entries.slice(i, i + DUPLICATE_MIN_LINES).map(entry => entry.text).join('\n');
+            const first = firstSeen.get(key);
+
+            if (!first) {
+                firstSeen.set(key, { path: file.file_path, index: i });
+                run = null;
+                continue;
+            }
+            // A block overlapping its own first copy is repetitive code, not a duplicate
+            if (first.path === file.file_path && first.index + DUPLICATE_MIN_LINES > i) {
+                run = null;
+                continue;
+            }
+
+            const firstEntries = entriesByFile.get(first.path);
+            const last = entries[i + DUPLICATE_MIN_LINES - 1].line;
+            const firstLast = firstEntries[first.index + DUPLICATE_MIN_LINES - 1].line;
+
+            if (run && run.firstPath === first.path && run.firstIndex + 1 === first.index) {
+                run.finding.lineEnd = last;
+                run.finding.duplicateOf.lineEnd = firstLast;
+                run.firstIndex = first.index;
+                continue;
+            }
+
+            const finding = {
+                rule: 'duplicate_block',
+                severity: 'medium',
+                file: file.file_path,
+                lineStart: entries[i].line,
+                lineEnd: last,
+                duplicateOf: { file: first.path, lineStart: firstEntries[first.index].line, lineEnd: firstLast }
+            };
+            findings.push(finding);
+            run = { finding, firstPath: first.path, firstIndex: first.index };
+        }
+    }
+
+    for (const finding of findings) {
+        const { file, lineStart, lineEnd } = finding.duplicateOf;
+        finding.value = finding.lineEnd - finding.lineStart + 1;
+        finding.message = `Lines ${finding.lineStart}-${finding.lineEnd} duplicate ${file}:${lineStart}-${lineEnd}`;
+    }
+
+    return findings;
+}
+
+/**
+ * Run the deterministic checks over a set of files: cyclomatic complexity,
+ * long functions and deep nesting per function, duplicated blocks, unused
+ * variables and imports (JavaScript/TypeScript) and TODO/FIXME density.
+ * Needs no AI provider.
+ * @param {Array} files - Stored files (file_path, content, language)
+ * @returns {{findings: Array, summary: {filesAnalyzed: number, counts: Object, truncated: boolean}}} -
+ *   Findings carry rule, severity, file, lineStart, lineEnd and message, most severe first
+ */
+export function analyzeFiles(files) {
+    const findings = [];
+    const sources = [];
+
+    for (const file of files) {
+        const { code, withStrings, comments } = maskSource(file.content, file.language);
+        sources.push({ file, withStrings });
+
+        findings.push(...analyzeFunctions(file, code));
+        if (file.language === 'javascript' || file.language === 'typescript') {
+            findings.push(...findUnusedVariables(file, code, withStrings));
+        }
+        findings.push(...findTodoMarkers(file, comments, code.length));
+    }
+    findings.push(...findDuplicates(sources));
+
+    const counts = {};
+    for (const finding of findings) {
+        counts[finding.rule] = (counts[finding.rule] || 0) + 1;
+    }
+
+    findings.sort((a, b) =>
+        SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] ||
+        a.file.localeCompare(b.file) ||
+        a.lineStart - b.lineStart
+    );
+
+    return {
+        findings: findings.slice(0, MAX_FINDINGS),
+        summary: {
+            filesAnalyzed: files.length,
+            counts,
+            truncated: findings.length > MAX_FINDINGS
+        }
+    };
+}
+
+/**
+ * Findings formatted for a model prompt
+ * @param {Array} findings
+ * @returns {string}
+ */
+export function formatFindings(findings) {
+    return findings
+        .map(finding => `- ${finding.file}:${finding.lineStart}-${finding.lineEnd} [${finding.rule}, ${finding.severity}] ${finding.message}`)
+        .join('\n');
+}
@@ -0,0 +1,155 @@
+import { escapeRegex } from '../models/database.js';
+
+// Longest query accepted, and most words used from it
+const MAX_QUERY_LENGTH = 200;
+const MAX_QUERY_TERMS = 20;
+
+// Characters of context on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 80;
+
+// Matching lines shown per file, and their longest length
+const MAX_SNIPPET_LINES = 3;
+const MAX_LINE_LENGTH = 200;
+
+/**
+ * Turn user input into a MongoDB $text search string. Quotes and leading
+ * minus signs would otherwise be read as phrase and negation operators, so the
+ * input is always treated as plain words (a match on any of them, ranked by relevance).
+ * @param {string} input
+ * @returns {{search: string, terms: Array<string>}}
+ * @throws {Error} - With `reason` 'empty_query' or 'query_too_long'
+ */
+export function buildTextQuery(input) {
+    const query = String(input || '').trim();
+
+    if (query.length > MAX_QUERY_LENGTH) {
+        throw Object.assign(new Error(`Search query is limited to ${MAX_QUERY_LENGTH} characters`), { reason: 'query_too_long' });
+    }
+
+    const terms = [...new Set(
+        query.split(/\s+/)
+            .map(word => word.replace(/["\\]/g, '').replace(/^-+/, ''))
+            // Words of only punctuation match nothing in the index
+            .filter(word => /[\p{L}\p{N}]/u.test(word))
+    )].slice(0, MAX_QUERY_TERMS);
+
+    if (terms.length === 0) {
+        throw Object.assign(new Error('Search query is empty'), { reason: 'empty_query' });
+    }
+
+    return { search: terms.join(' '), terms };
+}
+
+/**
+ * Pattern matching the search words inside text. Words match at the start of a
+ * word, which roughly follows the index's stemming ("parse" highlights "parsed").
+ * The terms are escaped, so user input is never run as a regex.
+ * @param {Array<string>} terms
+ * @returns {RegExp}
+ */
+function termPattern(terms) {
+    // The text index splits words on punctuation, so highlight the word parts
+    const words = [...new Set(terms.flatMap(term => term.split(/[^\p{L}\p{N}_]+/u)).filter(Boolean))];
+    return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${words.map(escapeRegex).join('|')})`, 'giu');
+}
+
+/**
+ * Ranges of `text` where the search words occur
+ * @param {string} text
+ * @param {RegExp} pattern
+ * @returns {Array<{start: number, length: number}>}
+ */
+function findHighlights(text, pattern) {
+    return [...text.matchAll(pattern)].map(match => ({ start: match.index, length: match[0].length }));
+}
+
+/**
+ * Cut a window of text around the first match
+ * @param {string} text
+ * @param {Array<string>} terms
+ * @returns {{text: string, highlights: Array<{start: number, length: number}>}|null} - null when no word occurs
+ */
+export function createSnippet(text, terms) {
+    const pattern = termPattern(terms);
+    const first = findHighlights(text, pattern)[0];
+    if (!first) return null;
+
+    const start = Math.max(0, first.start - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, first.start + first.length + SNIPPET_CONTEXT);
+    const snippet = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+    return { text: snippet, highlights: findHighlights(snippet, pattern) };
+}
+
+/**
+ * The first lines of a file that contain a search word
+ * @param {string} content
+ * @param {Array<string>} terms
+ * @returns {Array<{line: number, text: string, highlights: Array<{start: number, length: number}>}>}
+ */
+export function matchingLines(content, terms) {
+    const pattern = termPattern(terms);
+    const lines = content.split('\n');
+    const matches = [];
+
+    for (let i = 0; i < lines.length && matches.length < MAX_SNIPPET_LINES; i++) {
+        const highlights = findHighlights(lines[i], pattern);
+        if (highlights.length === 0) continue;
+
+        // Long lines are cut to a window starting near the first match
+        const offset = lines[i].length > MAX_LINE_LENGTH ? Math.max(0, highlights[0].start - SNIPPET_CONTEXT) : 0;
+        const text = lines[i].slice(offset, offset + MAX_LINE_LENGTH);
+        matches.push({
+            line: i + 1,
+            text,
+            highlights: highlights
+                .map(h => ({ start: h.start - offset, length: h.length }))
+                .filter(h => h.start >= 0 && h.start + h.length <= text.length)
+        });
+    }
+
+    return matches;
+}
+
+/**
+ * Shape ranked question documents into search results with a snippet from
+ * the question, or else the answer
+ * @param {Array} questions - From searchQuestions (with score)
+ * @param {Array<string>} terms
+ * @returns {Array}
+ */
+export function formatQuestionResults(questions, terms) {
+    return questions.map(q => {
+        const questionSnippet = createSnippet(q.question, terms);
+        return {
+            id: q.id,
+            codebase_id: q.codebase_id,
+            conversation_id: q.conversation_id,
+            question: q.question,
+            tags: q.tags,
+            pinned: q.pinned || false,
+            created_at: q.created_at,
+            score: q.score,
+            matchedField: questionSnippet ? 'question' : 'answer',
+            // Stemmed matches ("runs" for "running") may not highlight anywhere
+            snippet: questionSnippet || createSnippet(q.answer, terms) || { text: q.question.slice(0, SNIPPET_CONTEXT * 2), highlights: [] }
+        };
+    });
+}
+
+/**
+ * Shape ranked file documents into search results with their matching lines
+ * @param {Array} files - From searchCodeFiles (with score)
+ * @param {Array<string>} terms
+ * @returns {Array}
+ */
+export function formatFileResults(files, terms) {
+    return files.map(file => ({
+        codebase_id: file.codebase_id,
+        file: file.file_path,
+        language: file.language,
+        category: file.category,
+        score: file.score,
+        lines: matchingLines(file.content, terms)
+    }));
+}
@@ -0,0 +1,137 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import * as tar from 'tar';
+import { extractArchive } from '../src/services/archiveService.js';
+
+let workDir;
+
+beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+});
+
+afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    delete process.env.ARCHIVE_MAX_ENTRIES;
+    delete process.env.ARCHIVE_MAX_UNCOMPRESSED_SIZE;
+});
+
+/**
+ * Write a ZIP built from [name, content, options] entries
+ * @param {Array} entries - options.attr sets the external attributes (e.g. symlink mode)
+ * @returns {string} - Archive path
+ */
+function writeZip(entries) {
+    const zip = new AdmZip();
+    for (const [name, content, { attr } = {}] of entries) {
+        const entry = zip.addFile(name, Buffer.from(content));
+        // addFile keeps only permission bits, so set the file type directly
+        if (attr !== undefined) entry.attr = attr;
+    }
+    const archivePath = path.join(workDir, 'upload.zip');
+    zip.writeZip(archivePath);
+    return archivePath;
+}
+
+/**
+ * Extract into a fresh directory under the work dir
+ * @param {string} archivePath
+ * @param {string} [format]
+ */
+function extract(archivePath, format) {
+    return extractArchive(archivePath, path.join(workDir, 'out'), format);
+}
+
+test('extracts a plain ZIP', async () => {
+    const summary = await extract(writeZip([['src/index.js', 'export default 1;\n']]));
+
+    assert.equal(summary.entries, 1);
+    assert.equal(fs.readFileSync(path.join(workDir, 'out/src/index.js'), 'utf-8'), 'export default 1;\n');
+});
+
+test('rejects entries that climb out of the destination (path_traversal)', async () => {
+    const archivePath = writeZip([['ok.txt', 'fine']]);
+    // adm-zip normalizes names passed to addFile, so rename the stored entry
+    const zip = new AdmZip(archivePath);
+    zip.getEntries()[0].entryName = '../../evil.txt';
+    zip.writeZip(archivePath);
+
+    await assert.rejects(extract(archivePath), { reason: 'path_traversal' });
+    assert.equal(fs.existsSync(path.join(workDir, 'evil.txt')), false);
+});
+
+test('rejects archives that expand past ARCHIVE_MAX_UNCOMPRESSED_SIZE (too_large)', async () => {
+    process.env.ARCHIVE_MAX_UNCOMPRESSED_SIZE = '1024';
+
+    await assert.rejects(extract(writeZip([['big.txt', 'a'.repeat(4096)]])), { reason: 'too_large' });
+});
+
+test('rejects archives with more than ARCHIVE_MAX_ENTRIES entries (too_many_entries)', async () => {
+    process.env.ARCHIVE_MAX_ENTRIES = '2';
+
+    await assert.rejects(
+        extract(writeZip([['a.txt', 'a'], ['b.txt', 'b'], ['c.txt', 'c']])),
+        { reason: 'too_many_entries' }
+    );
+});
+
+test('rejects encrypted ZIPs (encrypted)', async () => {
+    const archivePath = writeZip([['secret.txt', 'hidden']]);
+    const zip = new AdmZip(archivePath);
+    // General purpose flag bit 0 marks an encrypted entry
+    zip.getEntries()[0].header.flags |= 1;
+    fs.writeFileSync(archivePath, zip.toBuffer());
+
+    await assert.rejects(extract(archivePath), { reason: 'encrypted' });
+});
+
+test('skips ZIP symlinks pointing outside the tree (symlink_outside_tree)', async () => {
+    const linkMode = (0o120777 * 0x10000) >>> 0;
+    const summary = await extract(writeZip([
+        ['readme.md', '# hi'],
+        ['passwd', '/etc/passwd', { attr: linkMode }],
+        ['docs', 'readme.md', { attr: linkMode }]
+    ]));
+
+    assert.equal(summary.skipped.counts.symlink_outside_tree, 1);
+    assert.deepEqual(summary.skipped.files, [{ path: 'passwd', reason: 'symlink_outside_tree' }]);
+    assert.equal(fs.existsSync(path.join(workDir, 'out/passwd')), false);
+    assert.equal(fs.readlinkSync(path.join(workDir, 'out/docs')), 'readme.md');
+});
+
+test('skips tar symlinks pointing outside the tree (symlink_outside_tree)', async () => {
+    const source = path.join(workDir, 'source');
+    fs.mkdirSync(source);
+    fs.writeFileSync(path.join(source, 'index.js'), 'module.exports = 1;\n');
+    fs.symlinkSync('/', path.join(source, 'root'));
+    const archivePath = path.join(workDir, 'upload.tar.gz');
+    await tar.c({ gzip: true, file: archivePath, cwd: source }, ['index.js', 'root']);
+
+    const summary = await extract(archivePath);
+
+    assert.equal(summary.skipped.counts.symlink_outside_tree, 1);
+    assert.equal(fs.existsSync(path.join(workDir, 'out/root')), false);
+    assert.ok(fs.existsSync(path.join(workDir, 'out/index.js')));
+});
+
+test('rejects unreadable archives (corrupt)', async () => {
+    const archivePath = path.join(workDir, 'broken.zip');
+    fs.writeFileSync(archivePath, Buffer.concat([Buffer.from('PK\x03\x04'), Buffer.alloc(64, 0xff)]));
+
+    await assert.rejects(extract(archivePath, 'zip'), { reason: 'corrupt' });
+});
+
+test('rejects truncated tar.gz archives (corrupt)', async () => {
+    const source = path.join(workDir, 'source');
+    fs.mkdirSync(source);
+    fs.writeFileSync(path.join(source, 'data.txt'), 'x'.repeat(100000));
+    const archivePath = path.join(workDir, 'upload.tar.gz');
+    await tar.c({ gzip: true, file: archivePath, cwd: source }, ['data.txt']);
+    const bytes = fs.readFileSync(archivePath);
+    fs.writeFileSync(archivePath, bytes.subarray(0, Math.floor(bytes.length / 2)));
+
+    await assert.rejects(extract(archivePath, 'tar.gz'), { reason: 'corrupt' });
+});
@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkCode } from '../src/services/codeChunker.js';
+
+const JS_SOURCE = `import fs from 'fs';
+import path from 'path';
+
+// Load a config file
+export function loadConfig(file) {
+    if (!fs.existsSync(file)) {
+        return { path: file, values: {} };
+    }
+    const text = fs.readFileSync(file, 'utf8').replace(/\\}/g, '}');
+    return { path: file, values: JSON.parse(text) };
+}
+
+const double = (n) => n * 2;
+const greet = async name => {
+    const message = \`Hello \${name} {\`;
+    return message;
+};
+
+class Store {
+    constructor() {
+        this.items = new Map();
+    }
+
+    async save(key, value) {
+        for (const hook of this.hooks) {
+            if (hook.before) {
+                await hook.before(key, value);
+            }
+        }
+        this.items.set(key, value);
+    }
+}
+
+export default Store;`;
+
+/**
+ * The kind, name and 1-based line range of each chunk
+ * @param {Array} chunks - From chunkCode
+ * @returns {Array<Array>}
+ */
+const outline = chunks => chunks.map(chunk => [chunk.kind, chunk.name, chunk.startLine, chunk.endLine]);
+
+test('splits JavaScript into functions, arrow functions and classes with their line ranges', () => {
+    const chunks = chunkCode(JS_SOURCE, 'javascript');
+
+    assert.deepEqual(outline(chunks), [
+        ['block', null, 1, 2],
+        // The comment above a declaration belongs to it
+        ['function', 'loadConfig', 4, 11],
+        ['function', 'double', 13, 13],
+        // Braces inside strings and regexes do not end the block
+        ['function', 'greet', 14, 17],
+        ['class', 'Store', 19, 32],
+        ['block', null, 34, 34]
+    ]);
+
+    const lines = JS_SOURCE.split('\n');
+    for (const chunk of chunks) {
+        assert.equal(chunk.content, lines.slice(chunk.startLine - 1, chunk.endLine).join('\n'));
+    }
+});
+
+test('splits a class too long for one chunk into its header and members', () => {
+    const methods = Array.from({ length: 40 }, (_, i) =>
+        `    method${i}(a, b) {\n        if (a) {\n            return b;\n        }\n    }\n`
+    ).join('\n');
+    const source = `/** A large class */\nclass Big extends Base {\n    static count = 0;\n\n${methods}}\n`;
+
+    const chunks = chunkCode(source, 'javascript');
+
+    assert.deepEqual(outline(chunks.slice(0, 4)), [
+        ['class', 'Big', 1, 2],
+        ['block', null, 3, 3],
+        ['function', 'Big.method0', 5, 9],
+        ['function', 'Big.method1', 11, 15]
+    ]);
+    assert.deepEqual(outline(chunks.slice(-2)), [
+        ['function', 'Big.method39', 239, 243],
+        ['block', null, 244, 244]
+    ]);
+});
+
+test('names methods with modifiers, generic return types and throws clauses', () => {
+    const fields = Array.from({ length: 150 }, (_, i) => `    private int field${i};`).join('\n');
+    const source = `public class UserService {
+${fields}
+
+    public UserService(Repo repo) {
+        this.repo = repo;
+    }
+
+    public Optional<User> getUser(String id) throws NotFoundException {
+        if (id == null) {
+            throw new NotFoundException();
+        }
+        return repo.find(id);
+    }
+}`;
+
+    assert.deepEqual(outline(chunkCode(source, 'java')), [
+        ['class', 'UserService', 1, 1],
+        ['block', null, 2, 151],
+        ['function', 'UserService.UserService', 153, 155],
+        ['function', 'UserService.getUser', 157, 162],
+        ['block', null, 163, 163]
+    ]);
+});
+
+test('splits Python by indentation, keeping nested blocks inside their function', () => {
+    const source = `import os
+
+
+class Loader:
+    """Loads things"""
+
+    def load(self, name):
+        if name:
+            return open(os.path.join(self.root, name))
+        return None
+
+
+def main():
+    Loader('.').load('x')
+`;
+
+    assert.deepEqual(outline(chunkCode(source, 'python')), [
+        ['block', null, 1, 1],
+        ['class', 'Loader', 4, 10],
+        ['function', 'main', 13, 14]
+    ]);
+});
+
+test('classifies long lines that are not method headers in linear time', () => {
+    const lines = [
+        `${'a '.repeat(5000)}(`,
+        `${'Map<String, List<Integer>> '.repeat(500)}value`,
+        `${'public '.repeat(3000)}x = 1;`
+    ];
+    const started = Date.now();
+
+    for (const line of lines) {
+        chunkCode(`${line}\n`, 'java');
+    }
+    assert.ok(Date.now() - started < 500, `took ${Date.now() - started} ms`);
+});
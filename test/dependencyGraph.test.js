@@ -0,0 +1,172 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    extractImports,
+    resolveDependencies,
+    buildModuleGraph,
+    toMermaid
+} from '../src/services/dependencyGraph.js';
+
+const LANGUAGES = { js: 'javascript', ts: 'typescript', py: 'python' };
+
+/**
+ * Processed files, as ingestion passes them to resolveDependencies
+ * @param {Object} sources - Path → content
+ * @returns {Array<{relativePath: string, language: string, imports: Array}>}
+ */
+function processFiles(sources) {
+    return Object.entries(sources).map(([relativePath, content]) => {
+        const language = LANGUAGES[relativePath.split('.').pop()];
+        return { relativePath, language, imports: extractImports(content, language) };
+    });
+}
+
+/**
+ * Edges as stored in the database (snake_case), for buildModuleGraph
+ * @param {Array} edges - From resolveDependencies
+ * @returns {Array}
+ */
+const stored = edges => edges.map(edge => ({ source_path: edge.sourcePath, target_path: edge.targetPath, package: edge.package }));
+
+const targetsOf = (edges, sourcePath) => edges
+    .filter(edge => edge.sourcePath === sourcePath)
+    .map(edge => [edge.specifier, edge.targetPath]);
+
+test('extracts imports with their lines, skipping commented-out ones', () => {
+    const content = [
+        "import fs from 'fs';",
+        'import {',
+        '    a,',
+        '    b',
+        "} from './lib/ab.js';",
+        "// import old from './old.js';",
+        "const util = require('./util');",
+        "export * from './reexported';",
+        "const lazy = () => import('./lazy');"
+    ].join('\n');
+
+    assert.deepEqual(extractImports(content, 'javascript'), [
+        { specifier: 'fs', line: 1 },
+        { specifier: './lib/ab.js', line: 2 },
+        { specifier: './util', line: 7 },
+        { specifier: './reexported', line: 8 },
+        { specifier: './lazy', line: 9 }
+    ]);
+});
+
+test('resolves relative imports with and without extensions', () => {
+    const edges = resolveDependencies(processFiles({
+        'src/app.js': "import { db } from './db';\nimport routes from '../config/routes.js';",
+        'src/db.js': '',
+        'config/routes.js': '',
+        // TypeScript sources import the compiled .js name
+        'src/server.ts': "import { db } from './db.js';\nimport { start } from './start.js';",
+        'src/start.ts': ''
+    }));
+
+    assert.deepEqual(targetsOf(edges, 'src/app.js'), [['./db', 'src/db.js'], ['../config/routes.js', 'config/routes.js']]);
+    assert.deepEqual(targetsOf(edges, 'src/server.ts'), [['./db.js', 'src/db.js'], ['./start.js', 'src/start.ts']]);
+});
+
+test('resolves directory imports to their index file and aliases to src/', () => {
+    const edges = resolveDependencies(processFiles({
+        'src/main.js': "import models from './models';\nimport Button from '@/components/Button';",
+        'src/models/index.ts': '',
+        'src/components/Button.js': ''
+    }));
+
+    assert.deepEqual(targetsOf(edges, 'src/main.js'), [
+        ['./models', 'src/models/index.ts'],
+        ['@/components/Button', 'src/components/Button.js']
+    ]);
+});
+
+test('resolves Python relative and package imports', () => {
+    const edges = resolveDependencies(processFiles({
+        'app/main.py': 'from .models import user\nfrom app.services import billing\nimport os',
+        'app/models/__init__.py': '',
+        'app/models/user.py': '',
+        'app/services/billing.py': ''
+    }));
+
+    assert.deepEqual(targetsOf(edges, 'app/main.py'), [
+        ['.models:user', 'app/models/user.py'],
+        ['app.services:billing', 'app/services/billing.py'],
+        ['os', null]
+    ]);
+});
+
+test('records unresolved imports: missing relative files without a package, externals by package name', () => {
+    const edges = resolveDependencies(processFiles({
+        'src/index.js': [
+            "import missing from './missing';",
+            "import sub from '@scope/pkg/sub';",
+            "import fs from 'node:fs';",
+            "import get from 'lodash/get';"
+        ].join('\n')
+    }));
+
+    assert.deepEqual(edges.map(({ specifier, targetPath, package: pkg, line }) => ({ specifier, targetPath, package: pkg, line })), [
+        { specifier: './missing', targetPath: null, package: null, line: 1 },
+        { specifier: '@scope/pkg/sub', targetPath: null, package: '@scope/pkg', line: 2 },
+        { specifier: 'node:fs', targetPath: null, package: 'fs', line: 3 },
+        { specifier: 'lodash/get', targetPath: null, package: 'lodash', line: 4 }
+    ]);
+
+    // Externals only become nodes when asked for
+    assert.deepEqual(buildModuleGraph(stored(edges)).edges, []);
+    assert.deepEqual(
+        buildModuleGraph(stored(edges), { external: true }).nodes.map(node => node.id),
+        ['package:@scope/pkg', 'package:fs', 'package:lodash', 'src/index.js']
+    );
+});
+
+test('keeps every edge of an import cycle and draws no self-import edge', () => {
+    const edges = resolveDependencies(processFiles({
+        'src/a.js': "import b from './b.js';\nimport self from './a.js';",
+        'src/b.js': "import c from './c.js';",
+        'src/c.js': "import a from './a.js';"
+    }));
+
+    // The self-import is kept as an unresolved record, not an edge
+    assert.deepEqual(edges.map(edge => [edge.sourcePath, edge.targetPath]), [
+        ['src/a.js', 'src/b.js'],
+        ['src/a.js', null],
+        ['src/b.js', 'src/c.js'],
+        ['src/c.js', 'src/a.js']
+    ]);
+
+    const graph = buildModuleGraph(stored(edges));
+    assert.deepEqual(graph.edges.map(edge => [edge.from, edge.to]), [
+        ['src/a.js', 'src/b.js'],
+        ['src/b.js', 'src/c.js'],
+        ['src/c.js', 'src/a.js']
+    ]);
+    assert.ok(graph.nodes.every(node => node.imports === 1 && node.importedBy === 1));
+
+    const { mermaidCode, truncated } = toMermaid(graph);
+    assert.equal(truncated, false);
+    assert.equal(mermaidCode, [
+        'graph LR',
+        '  N0["src/a.js"]',
+        '  N1["src/b.js"]',
+        '  N2["src/c.js"]',
+        '  N0 --> N1',
+        '  N1 --> N2',
+        '  N2 --> N0'
+    ].join('\n'));
+});
+
+test('collapses files into directories and counts the imports between them', () => {
+    const dependencies = [
+        { source_path: 'src/api/users.js', target_path: 'src/db/pool.js', package: null },
+        { source_path: 'src/api/orders.js', target_path: 'src/db/pool.js', package: null },
+        { source_path: 'src/api/orders.js', target_path: 'src/api/users.js', package: null },
+        { source_path: 'scripts/seed.js', target_path: 'src/db/pool.js', package: null }
+    ];
+
+    const graph = buildModuleGraph(dependencies, { dir: 'src', depth: 1 });
+
+    assert.deepEqual(graph.nodes.map(node => [node.id, node.type]), [['src/api', 'directory'], ['src/db', 'directory']]);
+    assert.deepEqual(graph.edges, [{ from: 'src/api', to: 'src/db', count: 2 }]);
+});
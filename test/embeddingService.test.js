@@ -0,0 +1,43 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEmbedder, setEmbedder, cosineSimilarity, tokenize } from '../src/services/embeddingService.js';
+
+afterEach(() => {
+    delete process.env.EMBEDDING_PROVIDER;
+    setEmbedder(null);
+});
+
+/**
+ * The local embedder, selected the way configuration would
+ * @returns {{id: string, embed: Function}}
+ */
+function localEmbedder() {
+    process.env.EMBEDDING_PROVIDER = 'local';
+    setEmbedder(null);
+    return getEmbedder();
+}
+
+test('tokenize splits camelCase and snake_case identifiers', () => {
+    assert.deepEqual(tokenize('getUserById parse_config HTTPServer'), ['get', 'user', 'by', 'id', 'parse', 'config', 'http', 'server']);
+});
+
+test('local embedder is deterministic and returns unit vectors', async () => {
+    const embedder = localEmbedder();
+
+    const [first] = await embedder.embed(['function loadUser(id) { return db.find(id); }']);
+    const [second] = await localEmbedder().embed(['function loadUser(id) { return db.find(id); }']);
+
+    assert.match(embedder.id, /^local-hash-\d+$/);
+    assert.deepEqual(first, second);
+    assert.ok(Math.abs(Math.hypot(...first) - 1) < 1e-9);
+});
+
+test('local embedder ranks code sharing the question vocabulary first', async () => {
+    const [question, userCode, mathCode] = await localEmbedder().embed([
+        'how is a user loaded from the database',
+        'async function loadUser(userId) { return database.users.findOne(userId); }',
+        'export const add = (a, b) => a + b;'
+    ]);
+
+    assert.ok(cosineSimilarity(question, userCode) > cosineSimilarity(question, mathCode));
+});
@@ -0,0 +1,86 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getLLMProvider, setLLMProvider } from '../src/services/llmProvider.js';
+import { generateRefactorSuggestions } from '../src/services/aiService.js';
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/llm');
+
+/**
+ * Select the mock provider, reading fixtures from `fixtureDir` when given
+ * @param {string} [fixtureDir]
+ */
+function useMockProvider(fixtureDir) {
+    process.env.LLM_PROVIDER = 'mock';
+    if (fixtureDir) process.env.LLM_MOCK_FIXTURES = fixtureDir;
+    setLLMProvider(null);
+}
+
+afterEach(() => {
+    delete process.env.LLM_PROVIDER;
+    delete process.env.LLM_MOCK_FIXTURES;
+    setLLMProvider(null);
+});
+
+test('mock provider answers from the fixture for the task', async () => {
+    useMockProvider(FIXTURE_DIR);
+
+    const content = await getLLMProvider().complete({ task: 'qa', messages: [{ role: 'user', content: 'How are numbers added?' }] });
+
+    assert.equal(JSON.parse(content).answer, 'Numbers are added by add in math.js.');
+});
+
+test('mock provider streams the same content it completes with', async () => {
+    useMockProvider(FIXTURE_DIR);
+    const options = { task: 'qa', messages: [{ role: 'user', content: 'How are numbers added?' }] };
+
+    let streamed = '';
+    for await (const delta of getLLMProvider().stream(options)) {
+        streamed += delta;
+    }
+
+    assert.equal(streamed, await getLLMProvider().complete(options));
+});
+
+test('mock provider falls back to built-in responses without a fixture', async () => {
+    useMockProvider();
+
+    const content = await getLLMProvider().complete({
+        task: 'qa',
+        messages: [{ role: 'user', content: 'File 1: src/math.js\n```js\n1| export const add = (a, b) => a + b;\n```' }]
+    });
+    const answer = JSON.parse(content);
+
+    assert.equal(answer.answer, 'The most relevant code is in src/math.js.');
+    assert.deepEqual(answer.references.map(ref => [ref.file, ref.lineStart]), [['src/math.js', 1]]);
+});
+
+test('refactor suggestions from the fixture have their patches validated', async () => {
+    useMockProvider(FIXTURE_DIR);
+    const code = 'function add(a, b) {\n    return a + b;\n}\n';
+
+    const suggestions = await generateRefactorSuggestions(code, 'javascript');
+
+    assert.deepEqual(suggestions.map(s => s.patchStatus), ['applies', 'does_not_apply']);
+    assert.equal(suggestions[0].parseCheck, 'ok');
+    assert.match(suggestions[0].patch, /^\+\/\/ Adds two numbers$/m);
+    assert.equal(suggestions[1].patch, null);
+});
+
+test('providers report the model configured for a task', () => {
+    process.env.LLM_PROVIDER = 'openai';
+    process.env.LLM_MODEL = 'general-model';
+    process.env.LLM_SUMMARY_MODEL = 'summary-model';
+    setLLMProvider(null);
+
+    try {
+        const provider = getLLMProvider();
+        assert.equal(provider.model, 'general-model');
+        assert.equal(provider.modelFor('summary'), 'summary-model');
+        assert.equal(provider.modelFor('qa'), 'general-model');
+    } finally {
+        delete process.env.LLM_MODEL;
+        delete process.env.LLM_SUMMARY_MODEL;
+    }
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSuggestionPatch, combineReviewPatches } from '../src/services/patchService.js';
+
+const ORIGINAL = 'function add(a, b) {\n    return a + b;\n}\n\nexport default add;\n';
+
+/**
+ * A model-style diff of src/math.js with one hunk over its first three lines
+ * @param {Array<string>} body - Hunk lines, each with its ' ', '-' or '+' prefix
+ * @returns {string}
+ */
+function diff(body) {
+    return ['--- a/src/math.js', '+++ b/src/math.js', '@@ -1,3 +1,3 @@', ...body, ''].join('\n');
+}
+
+const validate = patch => validateSuggestionPatch({ title: 'Coerce inputs', patch }, 'src/math.js', ORIGINAL, 'javascript');
+
+test('returns a patch that applies as a canonical diff against the whole file', () => {
+    const result = validate(diff([' function add(a, b) {', '-    return a + b;', '+    return Number(a) + Number(b);', ' }']));
+
+    assert.equal(result.patchStatus, 'applies');
+    assert.equal(result.parseCheck, 'ok');
+    assert.equal(result.patch, [
+        '--- a/src/math.js',
+        '+++ b/src/math.js',
+        '@@ -1,5 +1,5 @@',
+        ' function add(a, b) {',
+        '-    return a + b;',
+        '+    return Number(a) + Number(b);',
+        ' }',
+        ' ',
+        ' export default add;',
+        ''
+    ].join('\n'));
+});
+
+test('rejects a malformed hunk', () => {
+    // Line counts that do not match the header, and a line with no valid prefix
+    for (const patch of [
+        diff([' function add(a, b) {', '-    return a + b;', '+    return Number(a) + Number(b);', ' }', '+extra', '+more']),
+        diff([' function add(a, b) {', '~    return a + b;', ' }']),
+        'not a diff at all'
+    ]) {
+        assert.deepEqual(validate(patch), { title: 'Coerce inputs', patch: null, patchStatus: 'does_not_apply' }, patch);
+    }
+});
+
+test('rejects a patch whose context does not match the code', () => {
+    const result = validate(diff([' function sum(a, b) {', '-    return a + b;', '+    return a - b;', ' }']));
+
+    assert.equal(result.patchStatus, 'does_not_apply');
+    assert.equal(result.patch, null);
+});
+
+test('rejects a patch that applies but leaves invalid JavaScript', () => {
+    const result = validate(diff([' function add(a, b) {', '-    return a + b;', '+    return a + ;', ' }']));
+
+    assert.equal(result.patchStatus, 'invalid_syntax');
+    assert.equal(result.patch, null);
+    assert.match(result.parseError, /Unexpected token \(2:15\)/);
+
+    // Rejected patches are left out of the combined review patch
+    const { patch, applied } = combineReviewPatches(
+        [{ ...result, file: 'src/math.js' }],
+        [{ file_path: 'src/math.js', content: ORIGINAL }]
+    );
+    assert.equal(patch, '');
+    assert.deepEqual(applied, []);
+});
+
+test('leaves languages it cannot parse unchecked', () => {
+    const result = validateSuggestionPatch(
+        { title: 'Rename', patch: '--- a/app.rb\n+++ b/app.rb\n@@ -1 +1 @@\n-def add(a, b\n+def add(a, b)\n' },
+        'app.rb',
+        'def add(a, b\n',
+        'ruby'
+    );
+
+    assert.equal(result.patchStatus, 'applies');
+    assert.equal(result.parseCheck, 'not_checked');
+});
@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeFiles, formatFindings } from '../src/services/staticAnalyzer.js';
+
+/**
+ * Rule, file and line range of each finding, in report order
+ * @param {Array} findings
+ * @returns {Array<Array>}
+ */
+const locations = findings => findings.map(finding => [finding.rule, finding.file, finding.lineStart, finding.lineEnd]);
+
+const analyze = (file_path, language, content) => analyzeFiles([{ file_path, language, content }]).findings;
+
+test('flags cyclomatic complexity and long functions', () => {
+    const branchy = [
+        'export function classify(value) {',
+        ...Array.from({ length: 11 }, (_, i) => `    if (value === ${i}) return 'v${i}';`),
+        "    return 'other';",
+        '}'
+    ].join('\n');
+    const long = ['function migrate() {', ...Array.from({ length: 60 }, (_, i) => `    step${i}();`), '}'].join('\n');
+
+    const findings = analyzeFiles([
+        { file_path: 'src/classify.js', language: 'javascript', content: branchy },
+        { file_path: 'src/migrate.js', language: 'javascript', content: long }
+    ]).findings;
+
+    assert.deepEqual(locations(findings), [
+        ['complexity', 'src/classify.js', 1, 14],
+        ['long_function', 'src/migrate.js', 1, 62]
+    ]);
+    assert.deepEqual(findings.map(finding => [finding.symbol, finding.value, finding.severity]), [
+        ['classify', 12, 'medium'],
+        ['migrate', 62, 'medium']
+    ]);
+});
+
+test('flags deep nesting at the line it is reached, in braces and indentation', () => {
+    const js = `function walk(tree) {
+    for (const a of tree) {
+        if (a) {
+            while (a.next) {
+                if (a.next.ok) {
+                    try {
+                        a.visit();
+                    } catch (error) {
+                        console.log(error);
+                    }
+                }
+            }
+        }
+    }
+}
+
+module.exports = walk;
+`;
+    const python = `def process(items):
+    for item in items:
+        if item:
+            while item.pending:
+                if item.ready:
+                    with item.lock:
+                        item.run()
+`;
+
+    for (const [file, language, content, end] of [['src/walk.js', 'javascript', js, 15], ['jobs/process.py', 'python', python, 7]]) {
+        const findings = analyze(file, language, content);
+        assert.deepEqual(locations(findings), [['deep_nesting', file, 1, end]]);
+        assert.equal(findings[0].value, 5);
+        assert.match(findings[0].message, /5 deep \(at line 6\)$/);
+    }
+});
+
+test('flags unused imports and variables and TODO markers, but not names used in template literals', () => {
+    const content = `import fs from 'fs';
+import { join, resolve } from 'path';
+// TODO: cache this
+const root = resolve('.');
+const unusedValue = 42;
+const _ignored = 1;
+export const label = \`root is \${root}\`;
+`;
+
+    const findings = analyze('src/util.js', 'javascript', content);
+
+    assert.deepEqual(locations(findings), [
+        ['todo_density', 'src/util.js', 3, 3],
+        ['unused_variable', 'src/util.js', 1, 1],
+        ['unused_variable', 'src/util.js', 2, 2],
+        ['unused_variable', 'src/util.js', 5, 5]
+    ]);
+    assert.deepEqual(findings.slice(1).map(finding => finding.message), [
+        'Import fs is never used',
+        'Import join is never used',
+        'Variable unusedValue is declared but never used'
+    ]);
+});
+
+test('reports a block duplicated across files once, pointing at the first copy', () => {
+    const copy = name => `function ${name}(input) {
+    const first = input.first.trim();
+    const second = input.second.trim();
+    const third = input.third.trim();
+    const fourth = input.fourth.trim();
+    const fifth = input.fifth.trim();
+    const sixth = input.sixth.trim();
+    return [first, second, third, fourth, fifth, sixth];
+}
+`;
+
+    const { findings, summary } = analyzeFiles([
+        { file_path: 'src/a.js', language: 'javascript', content: copy('copyA') },
+        { file_path: 'src/b.js', language: 'javascript', content: copy('copyB') }
+    ]);
+
+    assert.deepEqual(locations(findings), [['duplicate_block', 'src/b.js', 2, 8]]);
+    assert.deepEqual(findings[0].duplicateOf, { file: 'src/a.js', lineStart: 2, lineEnd: 8 });
+    assert.deepEqual(summary, { filesAnalyzed: 2, counts: { duplicate_block: 1 }, truncated: false });
+    assert.equal(formatFindings(findings), '- src/b.js:2-8 [duplicate_block, medium] Lines 2-8 duplicate src/a.js:2-8');
+});
+
+test('finds nothing in small, clean code', () => {
+    const content = "import { join } from 'path';\n\nexport function resolveAsset(name) {\n    return join('assets', name);\n}\n";
+
+    assert.deepEqual(analyze('src/assets.js', 'javascript', content), []);
+});
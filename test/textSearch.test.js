@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTextQuery, createSnippet, matchingLines } from '../src/services/textSearch.js';
+
+/**
+ * The text each highlight covers
+ * @param {{text: string, highlights: Array<{start: number, length: number}>}} match
+ * @returns {Array<string>}
+ */
+const highlighted = ({ text, highlights }) => highlights.map(({ start, length }) => text.slice(start, start + length));
+
+test('builds a plain-word query, dropping phrase quotes, negation and duplicates', () => {
+    assert.deepEqual(buildTextQuery('  "exact phrase" -negated --flag  parse_json ... parse_json '), {
+        search: 'exact phrase negated flag parse_json',
+        terms: ['exact', 'phrase', 'negated', 'flag', 'parse_json']
+    });
+    assert.deepEqual(buildTextQuery('back\\slash "').terms, ['backslash']);
+});
+
+test('uses at most 20 words of a query', () => {
+    const { terms } = buildTextQuery(Array.from({ length: 30 }, (_, i) => `word${i}`).join(' '));
+
+    assert.equal(terms.length, 20);
+    assert.equal(terms[19], 'word19');
+});
+
+test('rejects empty and over-long queries with a reason', () => {
+    for (const input of ['', '   ', '"" - --- ...', undefined]) {
+        assert.throws(() => buildTextQuery(input), { reason: 'empty_query', message: 'Search query is empty' });
+    }
+    assert.throws(() => buildTextQuery('a'.repeat(201)), { reason: 'query_too_long' });
+    assert.equal(buildTextQuery('a'.repeat(200)).terms.length, 1);
+});
+
+test('cuts a snippet around the first match and highlights word starts in it', () => {
+    const text = `${'x'.repeat(100)} The parser parsed input. ${'y'.repeat(100)}`;
+
+    const snippet = createSnippet(text, ['PARSE']);
+
+    assert.ok(snippet.text.startsWith('…') && snippet.text.endsWith('…'));
+    assert.equal(snippet.text.length, 1 + 80 + 5 + 80 + 1);
+    assert.deepEqual(highlighted(snippet), ['parse', 'parse']);
+    assert.equal(snippet.highlights[0].start, 81);
+});
+
+test('returns no snippet when no word occurs, and splits terms on punctuation', () => {
+    assert.equal(createSnippet('nothing to see', ['parse']), null);
+    // "reparse" does not start with the word
+    assert.equal(createSnippet('call reparse()', ['parse']), null);
+    assert.deepEqual(createSnippet('Use user.name to greet', ['user.name']), {
+        text: 'Use user.name to greet',
+        highlights: [{ start: 4, length: 4 }, { start: 9, length: 4 }]
+    });
+    // Regex characters in terms are never run as a pattern
+    assert.deepEqual(highlighted(createSnippet('(a+b)*', ['(a+', '*b'])), ['a', 'b']);
+});
+
+test('lists the first three matching lines with 1-based numbers', () => {
+    const content = [
+        'const a = 1;',
+        'function parse(input) {',
+        '    return parse(input.trim()) + parsed;',
+        '}',
+        'parse();',
+        'parse(again);'
+    ].join('\n');
+
+    const lines = matchingLines(content, ['parse']);
+
+    assert.deepEqual(lines.map(line => line.line), [2, 3, 5]);
+    assert.deepEqual(lines[1], {
+        line: 3,
+        text: '    return parse(input.trim()) + parsed;',
+        highlights: [{ start: 11, length: 5 }, { start: 33, length: 5 }]
+    });
+});
+
+test('windows long lines near the first match and shifts or drops highlights to fit', () => {
+    const line = `${'a '.repeat(150)}parse ${'b'.repeat(150)} parse ${'c'.repeat(300)}`;
+
+    const [match] = matchingLines(line, ['parse']);
+
+    assert.equal(match.text.length, 200);
+    assert.equal(match.text, line.slice(300 - 80, 300 - 80 + 200));
+    // The second match lies past the window and is dropped
+    assert.deepEqual(match.highlights, [{ start: 80, length: 5 }]);
+    assert.deepEqual(highlighted(match), ['parse']);
+
+    // A match near the start of a long line keeps the window at the start
+    const [early] = matchingLines(`parse ${'z'.repeat(400)}`, ['parse']);
+    assert.deepEqual(early.highlights, [{ start: 0, length: 5 }]);
+    assert.equal(early.text.length, 200);
+});